@@ -1,15 +1,11 @@
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
-import { Plus, X, Info, AlertTriangle, Eye, EyeOff, Target, Settings } from 'lucide-react';
+import { 
+  Plus, X, Info, AlertTriangle, Eye, EyeOff, Target, Settings, Download, Upload, Share2, Copy, Pencil, Trash2, Columns,
+  GraduationCap, CheckCircle2, Circle, Sparkles, TrendingUp, Undo2, Redo2, GripVertical
+} from 'lucide-react';
+import bcompComputerScience from './programmes/bcomp-cs.json';
 
 // Constants
-const GRADE_POINTS = {
-  'A+': 5.0, 'A': 5.0, 'A-': 4.5,
-  'B+': 4.0, 'B': 3.5, 'B-': 3.0,
-  'C+': 2.5, 'C': 2.0, 'C-': 1.5,
-  'D+': 1.0, 'D': 0.5, 'F': 0.0,
-  'N/A': null, 'S': null, 'U': null, 'CS': null, 'CU': null
-};
-
 const STORAGE_KEYS = {
   SELECTED_MODULES: 'nus-gpa-selectedModules',
   ACTIVE_SEMESTERS: 'nus-gpa-activeSemesters',
@@ -17,21 +13,183 @@ const STORAGE_KEYS = {
   SELECTED_YEAR: 'nus-gpa-selectedYear',
   VISIBLE_YEARS: 'nus-gpa-visibleYears',
   SHOW_HINT: 'nus-gpa-showHint',
-  HIDE_GRADES: 'nus-gpa-hideGrades'
+  HIDE_GRADES: 'nus-gpa-hideGrades',
+  WORKLOAD_THRESHOLD: 'nus-gpa-workloadThreshold',
+  UNIT_LIMITS: 'nus-gpa-unitLimits',
+  PLANS: 'nus-gpa-plans',
+  ACTIVE_PLAN_ID: 'nus-gpa-activePlanId',
+  CUSTOM_PROGRAMMES: 'nus-gpa-customProgrammes'
+};
+
+const DEFAULT_PLAN_ID = 'plan-default';
+
+const BUNDLED_PROGRAMMES = [bcompComputerScience];
+
+// University-level requirements by intake. A module fills the first one whose module list, or code
+// prefix and level range, it matches; `count` is how many modules a requirement needs (default 1).
+// NUSMods publishes no attribute for these, so classification goes by code only.
+const GE_RULE_SETS = [
+  {
+    id: 'common-curriculum',
+    name: 'Common Curriculum',
+    fromMatricYear: 'AY21/22',
+    pillars: [
+      { id: 'cultures', name: 'Cultures and Connections', prefixes: ['GEC'] },
+      { id: 'critique', name: 'Critique and Expression', prefixes: ['GEX'] },
+      { id: 'data', name: 'Data Literacy', prefixes: ['GEA'] },
+      { id: 'digital', name: 'Digital Literacy', prefixes: ['GEI'], modules: ['CS1010', 'CS1010E', 'CS1010S', 'CS1010X', 'CS1101S'] },
+      { id: 'singapore', name: 'Singapore Studies', prefixes: ['GESS'] },
+      { id: 'communities', name: 'Communities and Engagement', prefixes: ['GEN'] },
+      { id: 'interdisciplinary', name: 'Interdisciplinary courses', prefixes: ['HSA', 'HSH', 'HSI', 'HSS'], minLevel: 2000, count: 2 }
+    ]
+  },
+  {
+    id: 'general-education',
+    name: 'General Education pillars',
+    fromMatricYear: 'AY00/01',
+    pillars: [
+      { id: 'human-cultures', name: 'Human Cultures', prefixes: ['GEH'] },
+      { id: 'asking-questions', name: 'Asking Questions', prefixes: ['GEQ'] },
+      { id: 'quantitative', name: 'Quantitative Reasoning', prefixes: ['GER'] },
+      { id: 'singapore', name: 'Singapore Studies', prefixes: ['GES'] },
+      { id: 'thinking', name: 'Thinking and Expression', prefixes: ['GET'] }
+    ]
+  }
+];
+
+const MODULE_CACHE = {
+  DB_NAME: 'nus-gpa-moduleCache',
+  STORE_NAME: 'catalogue',
+  VERSION: 1
 };
 
 const MATRIC_YEAR_OPTIONS = [
   'AY25/26', 'AY24/25', 'AY23/24', 'AY22/23', 'AY21/22', 'AY20/21', 'AY19/20'
 ];
 
-const GRADE_GRID = [
-  ['A+', 'A', 'A-'],
-  ['B+', 'B', 'B-'],
-  ['C+', 'C', 'C-'],
-  ['D+', 'D', 'F'],
-  ['CS', 'CU', '']
+const PLAN_SCHEMA_VERSION = 1;
+
+const SHARE_HASH_PREFIX = '#plan=';
+
+const NUSMODS_API_BASE = 'https://api.nusmods.com/v2';
+const MODULE_DETAILS_VERSION = 4;
+const DEFAULT_ACAD_YEAR = '2024-2025';
+
+// Undo steps kept per plan; older snapshots are dropped first
+const HISTORY_LIMIT = 100;
+
+// Keyboard shortcuts on a focused module card
+const MODULE_MOVE_KEYS = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+const SU_TOGGLE_KEY = '/';
+
+// Pointer travel before a press on a module card becomes a drag, and how long a still touch
+// has to be held to toggle S/U
+const DRAG_START_DISTANCE = 6;
+const LONG_PRESS_DELAY = 500;
+// Keys typed within this window are read together, so "N" then "P" gives NP
+const GRADE_TYPING_TIMEOUT = 1000;
+
+// Weekly hours above which a semester is flagged as heavy, until the student sets their own
+const DEFAULT_WORKLOAD_THRESHOLD = 50;
+
+// Normal unit load per term type. Regular semesters allow up to 23 units without an overload
+// appeal; special terms (ST1/ST2) are capped much lower.
+const DEFAULT_UNIT_LIMITS = {
+  regular: { min: 18, max: 23 },
+  special: { min: 0, max: 12 }
+};
+
+const TERM_TYPE_LABELS = { regular: 'Regular semesters', special: 'Special terms' };
+
+// Degree classes by intake, highest first. AY21/22 onwards uses the Honours (Distinction) naming.
+const HONOURS_SCHEMES = [
+  {
+    fromMatricYear: 'AY21/22',
+    classes: [
+      { name: 'Honours (Highest Distinction)', shortName: 'Highest Distinction', minGPA: 4.5 },
+      { name: 'Honours (Distinction)', shortName: 'Distinction', minGPA: 4.0 },
+      { name: 'Honours (Merit)', shortName: 'Merit', minGPA: 3.5 },
+      { name: 'Honours', shortName: 'Honours', minGPA: 3.0 },
+      { name: 'Pass', shortName: 'Pass', minGPA: 2.0 }
+    ]
+  },
+  {
+    fromMatricYear: 'AY00/01',
+    classes: [
+      { name: 'First Class Honours', shortName: 'First Class', minGPA: 4.5 },
+      { name: 'Second Class Honours (Upper)', shortName: 'Second Upper', minGPA: 4.0 },
+      { name: 'Second Class Honours (Lower)', shortName: 'Second Lower', minGPA: 3.5 },
+      { name: 'Third Class Honours', shortName: 'Third Class', minGPA: 3.0 },
+      { name: 'Pass', shortName: 'Pass', minGPA: 2.0 }
+    ]
+  }
+];
+
+// Grading schemes a plan can be calculated with. `gradePoints` lists every grade the scheme knows, with
+// null for grades that never count towards GPA. `nonSUGrades` are already pass/fail and cannot be S/U-ed,
+// and `suPolicy` is null for schemes without an S/U option.
+const GRADING_SCHEMES = [
+  {
+    id: 'nus',
+    name: 'NUS (5.0 scale)',
+    maxPoint: 5.0,
+    gradePoints: {
+      'A+': 5.0, 'A': 5.0, 'A-': 4.5,
+      'B+': 4.0, 'B': 3.5, 'B-': 3.0,
+      'C+': 2.5, 'C': 2.0, 'C-': 1.5,
+      'D+': 1.0, 'D': 0.5, 'F': 0.0,
+      'N/A': null, 'S': null, 'U': null, 'CS': null, 'CU': null
+    },
+    gradeGrid: [
+      ['A+', 'A', 'A-'],
+      ['B+', 'B', 'B-'],
+      ['C+', 'C', 'C-'],
+      ['D+', 'D', 'F'],
+      ['CS', 'CU', '']
+    ],
+    nonSUGrades: ['CS', 'CU'],
+    failingGrades: ['F', 'CU', 'U'],
+    suPolicy: { passGrade: 'S', failGrade: 'U', firstTwoSemesterCap: 32, apcCap: 20, subsequentCap: 12 },
+    hasNUSDegreeClasses: true
+  },
+  {
+    id: 'four-point',
+    name: 'Generic 4.0 scale',
+    maxPoint: 4.0,
+    gradePoints: {
+      'A+': 4.0, 'A': 4.0, 'A-': 3.7,
+      'B+': 3.3, 'B': 3.0, 'B-': 2.7,
+      'C+': 2.3, 'C': 2.0, 'C-': 1.7,
+      'D+': 1.3, 'D': 1.0, 'F': 0.0,
+      'P': null, 'NP': null
+    },
+    gradeGrid: [
+      ['A+', 'A', 'A-'],
+      ['B+', 'B', 'B-'],
+      ['C+', 'C', 'C-'],
+      ['D+', 'D', 'F'],
+      ['P', 'NP', '']
+    ],
+    nonSUGrades: ['P', 'NP'],
+    failingGrades: ['F', 'NP'],
+    suPolicy: null,
+    hasNUSDegreeClasses: false
+  }
 ];
 
+const DEFAULT_GRADING_SCHEME = GRADING_SCHEMES[0];
+
+// Modules recorded outside NUSMods. Transfer credit only adds units, exchange modules are graded
+// pass/fail, and graded ones count towards GPA like any NUS module.
+const CUSTOM_MODULE_TYPES = {
+  transfer: { label: 'Transfer credit', shortLabel: 'Transfer', gradeGrid: null },
+  exchange: { label: 'Exchange (pass/fail)', shortLabel: 'Exchange', gradeGrid: [['S', 'U', '']] },
+  graded: { label: 'Graded', shortLabel: 'Custom', gradeGrid: undefined }
+};
+
+// Grades that mean a failed attempt under any scheme
+const FAILING_GRADES = new Set(GRADING_SCHEMES.flatMap(scheme => scheme.failingGrades));
+
 // Utility functions
 const saveToStorage = (key, data) => {
   try {
@@ -69,364 +227,1747 @@ const generateAllSemesters = (matricYear) => {
   return semesters;
 };
 
-// Custom hooks
-const useLocalStorage = (key, defaultValue) => {
-  const [value, setValue] = useState(() => loadFromStorage(key, defaultValue));
-  
-  useEffect(() => {
-    saveToStorage(key, value);
-  }, [key, value]);
-  
-  return [value, setValue];
+const SEMESTER_TERMS = ['Sem 1', 'Sem 2', 'ST1', 'ST2'];
+
+// Modules kept in the plan without a semester, e.g. after a matriculation-year change. They are
+// left out of GPA, S/U, load and requirement checks until moved back into a semester.
+const UNASSIGNED_SEMESTER = 'Unassigned';
+
+const isScheduled = (module) => module.semester !== UNASSIGNED_SEMESTER;
+
+// "AY24/25 Sem 1" shifted by 2 years is "AY26/27 Sem 1"
+const shiftSemester = (semester, years) => {
+  const [year, ...term] = semester.split(' ');
+  const start = Number(year.substring(2, 4)) + years;
+  const pad = (value) => value.toString().padStart(2, '0');
+  return [`AY${pad(start)}/${pad(start + 1)}`, ...term].join(' ');
 };
 
-const useGPACalculations = (selectedModules) => {
-  return useMemo(() => {
-    let totalPoints = 0;
-    let totalGradedMCs = 0;
-    let totalMCs = 0;
+const getMatricYearOffset = (fromYear, toYear) => 
+  parseInt(toYear.substring(2, 4)) - parseInt(fromYear.substring(2, 4));
 
-    selectedModules.forEach(module => {
-      const moduleCredit = Number(module.moduleCredit) || 0;
-      totalMCs += moduleCredit;
-      
-      if (module.isSU && module.letterGrade && module.letterGrade !== 'CS' && module.letterGrade !== 'CU') {
-        return;
-      }
-      
-      const grade = module.letterGrade;
-      
-      if (grade && moduleCredit > 0) {
-        const points = GRADE_POINTS[grade];
-        
-        if (points !== null) {
-          totalPoints += points * moduleCredit;
-          totalGradedMCs += moduleCredit;
-        }
-      }
+// Scheduled modules whose semester falls outside the candidature that starts in `matricYear`
+const findOrphanedModules = (selectedModules, matricYear) => {
+  const semesters = generateAllSemesters(matricYear);
+  return selectedModules.filter(module => isScheduled(module) && !semesters.includes(module.semester));
+};
+
+// Applies a matriculation-year change to a plan. 'shift' moves every semester by the year
+// difference so the plan keeps its shape; 'unassign' keeps semesters in place and moves
+// modules that no longer fit into UNASSIGNED_SEMESTER.
+const changePlanMatricYear = (plan, matricYear, mode) => {
+  const offset = getMatricYearOffset(plan.academicSettings.matricYear, matricYear);
+  const semesters = generateAllSemesters(matricYear);
+  const years = new Set(semesters.map(semester => semester.split(' ')[0]));
+  const shiftYear = (year) => shiftSemester(`${year} Sem 1`, offset).split(' ')[0];
+
+  const selectedModules = plan.selectedModules.map(module => {
+    if (!isScheduled(module)) return module;
+    if (mode === 'shift') return { ...module, semester: shiftSemester(module.semester, offset) };
+    return semesters.includes(module.semester) ? module : { ...module, semester: UNASSIGNED_SEMESTER };
+  });
+  const activeSemesters = mode === 'shift' 
+    ? plan.activeSemesters.map(semester => shiftSemester(semester, offset)) 
+    : plan.activeSemesters.filter(semester => semesters.includes(semester));
+  const visibleYears = mode === 'shift' 
+    ? plan.visibleYears.map(shiftYear) 
+    : plan.visibleYears.filter(year => years.has(year));
+  const selectedYear = mode === 'shift' && plan.selectedYear ? shiftYear(plan.selectedYear) : '';
+
+  return {
+    selectedModules,
+    activeSemesters,
+    academicSettings: { ...plan.academicSettings, matricYear },
+    visibleYears,
+    selectedYear: visibleYears.includes(selectedYear) ? selectedYear : visibleYears[0] || ''
+  };
+};
+
+// Sortable position of a semester label such as "AY24/25 ST1", independent of the matriculation year.
+// The unscheduled pool sorts after every semester, like a plan that hasn't happened yet.
+const getSemesterOrder = (semester) => {
+  if (semester === UNASSIGNED_SEMESTER) return Number.MAX_SAFE_INTEGER;
+  const [year, ...term] = semester.split(' ');
+  return Number(year.substring(2, 4)) * SEMESTER_TERMS.length + SEMESTER_TERMS.indexOf(term.join(' '));
+};
+
+// Links modules sharing a code as attempts in semester order. Under NUS rules every graded attempt
+// still counts towards GPA, but only the latest attempt's units count, so earlier ones are superseded.
+const getModuleAttempts = (selectedModules) => {
+  const byCode = {};
+  selectedModules.forEach(module => {
+    if (!byCode[module.moduleCode]) byCode[module.moduleCode] = [];
+    byCode[module.moduleCode].push(module);
+  });
+
+  const attempts = new Map();
+  Object.values(byCode).forEach(modules => {
+    const ordered = [...modules].sort((a, b) => getSemesterOrder(a.semester) - getSemesterOrder(b.semester));
+    const latest = ordered[ordered.length - 1];
+    ordered.forEach((module, index) => {
+      attempts.set(module.id, { number: index + 1, total: ordered.length, isSuperseded: module !== latest, latest });
     });
+  });
+  return attempts;
+};
 
-    const gpa = totalGradedMCs > 0 ? totalPoints / totalGradedMCs : 0;
-    return { 
-      gpa: Number(gpa.toFixed(2)), 
-      totalMCs, 
-      gradedMCs: totalGradedMCs,
-      totalPoints
-    };
-  }, [selectedModules]);
+// A module can be added to a semester unless it is already planned there or later; earlier
+// attempts make it a retake
+const getAttemptStatus = (selectedModules, moduleCode, semester) => {
+  const attempts = selectedModules.filter(module => module.moduleCode === moduleCode);
+  // The unscheduled pool has no order; a module that's planned anywhere is already covered
+  if (semester === UNASSIGNED_SEMESTER) return attempts.length > 0 ? 'taken' : 'new';
+  if (attempts.some(module => getSemesterOrder(module.semester) >= getSemesterOrder(semester))) return 'taken';
+  return attempts.length > 0 ? 'retake' : 'new';
 };
 
-const calculateTargetGrades = (currentGPA, currentGradedMCs, currentTotalPoints, targetGPA) => {
-  if (targetGPA <= currentGPA) {
-    return { message: "Target GPA already achieved!" };
+// Why a module can't move to another semester, or null if it can. Its attempts must keep their order
+// and never share a semester, and the unscheduled pool only takes modules not planned anywhere else.
+const checkAttemptMove = (selectedModules, module, targetSemester) => {
+  const others = selectedModules.filter(other => other.moduleCode === module.moduleCode && other.id !== module.id);
+  if (targetSemester === UNASSIGNED_SEMESTER) {
+    return others.length > 0 ? `${module.moduleCode} is already planned in ${others[0].semester}.` : null;
   }
-  
-  const gradeOptions = [
-    { name: 'A/A+', value: 5.0 },
-    { name: 'A-', value: 4.5 },
-    { name: 'B+', value: 4.0 },
-    { name: 'B', value: 3.5 },
-    { name: 'B-', value: 3.0 },
-    { name: 'C+', value: 2.5 },
-    { name: 'C', value: 2.0 }
-  ];
-  
-  const results = [];
-  
-  for (const grade of gradeOptions) {
-    if (grade.value < targetGPA) {
-      continue;
+  const from = getSemesterOrder(module.semester);
+  const to = getSemesterOrder(targetSemester);
+  const blocking = others.find(other => {
+    const order = getSemesterOrder(other.semester);
+    return order === to || (order > from) !== (order > to);
+  });
+  if (!blocking) return null;
+  return blocking.semester === targetSemester
+    ? `${module.moduleCode} is already planned in ${targetSemester}.`
+    : `${module.moduleCode} is also planned in ${blocking.semester}. A retake must come after the earlier attempt.`;
+};
+
+const buildPlanExport = (plan) => ({
+  schemaVersion: PLAN_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  ...plan
+});
+
+// Checks an exported plan file and returns a cleaned plan plus a human-readable list of problems.
+// Modules with an unknown semester or a duplicate code are dropped; invalid grades are cleared.
+const validatePlanImport = (data) => {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.selectedModules)) {
+    return { error: 'This file is not a GradeGauge plan export.' };
+  }
+  if (typeof data.schemaVersion !== 'number' || data.schemaVersion > PLAN_SCHEMA_VERSION) {
+    return { error: `Unsupported plan version "${data.schemaVersion}". Please update the app and try again.` };
+  }
+
+  const issues = [];
+  const importedSettings = data.academicSettings || {};
+  const matricYear = MATRIC_YEAR_OPTIONS.includes(importedSettings.matricYear) ? importedSettings.matricYear : 'AY24/25';
+  if (matricYear !== importedSettings.matricYear) {
+    issues.push(`Unknown matriculation year "${importedSettings.matricYear}", using ${matricYear}`);
+  }
+
+  const gradingScheme = getGradingScheme(importedSettings.gradingSchemeId);
+  if (importedSettings.gradingSchemeId && gradingScheme.id !== importedSettings.gradingSchemeId) {
+    issues.push(`Unknown grading scheme "${importedSettings.gradingSchemeId}", using ${gradingScheme.name}`);
+  }
+
+  const validSemesters = generateAllSemesters(matricYear);
+  const seenCodes = new Set();
+  const selectedModules = [];
+
+  data.selectedModules.forEach((module, index) => {
+    if (!module || typeof module.moduleCode !== 'string') {
+      issues.push(`Module #${index + 1}: missing module code, skipped`);
+      return;
     }
-    
-    let modulesNeeded = 0;
-    let tempGradedMCs = currentGradedMCs;
-    let tempTotalPoints = currentTotalPoints;
-    
-    while (modulesNeeded <= 40) {
-      const tempGPA = tempGradedMCs > 0 ? tempTotalPoints / tempGradedMCs : 0;
-      if (tempGPA >= targetGPA) {
-        break;
-      }
-      
-      modulesNeeded++;
-      tempGradedMCs += 4;
-      tempTotalPoints += 4 * grade.value;
+    const { moduleCode } = module;
+    if (isScheduled(module) && !validSemesters.includes(module.semester)) {
+      issues.push(`${moduleCode}: unknown semester "${module.semester}", skipped`);
+      return;
     }
-    
-    if (modulesNeeded <= 40 && modulesNeeded > 0) {
-      results.push({
-        grade: grade.name,
-        modules: modulesNeeded
-      });
+    if (seenCodes.has(`${moduleCode} ${module.semester}`)) {
+      issues.push(`${moduleCode}: duplicate module in ${module.semester}, skipped`);
+      return;
     }
-  }
-  
-  if (results.length === 0) {
-    return { message: "Sorry, target GPA is too high" };
-  }
-  
-  return { results };
-};
+    seenCodes.add(`${moduleCode} ${module.semester}`);
 
-const useSUCalculations = (selectedModules, allSemesters, hasAPCs) => {
-  return useMemo(() => {
-    const firstTwoSemesters = allSemesters.filter(sem => !sem.includes('ST')).slice(0, 2);
-    const subsequentSemesters = allSemesters.filter(sem => !firstTwoSemesters.includes(sem));
-    
-    let firstTwoSUUsed = 0;
-    let subsequentSUUsed = 0;
-    
-    selectedModules.forEach(module => {
-      if (module.isSU && module.letterGrade && module.letterGrade !== 'CS' && module.letterGrade !== 'CU') {
-        const moduleCredit = Number(module.moduleCredit) || 0;
-        if (firstTwoSemesters.includes(module.semester)) {
-          firstTwoSUUsed += moduleCredit;
-        } else if (subsequentSemesters.includes(module.semester)) {
-          subsequentSUUsed += moduleCredit;
-        }
-      }
+    let letterGrade = module.letterGrade || '';
+    if (letterGrade && !(letterGrade in gradingScheme.gradePoints)) {
+      issues.push(`${moduleCode}: invalid grade "${letterGrade}", grade cleared`);
+      letterGrade = '';
+    }
+
+    selectedModules.push({
+      ...module,
+      title: String(module.title || ''),
+      moduleCredit: module.moduleCredit ?? '0',
+      letterGrade,
+      isSU: Boolean(module.isSU && letterGrade),
+      id: module.id ?? Date.now() + index
     });
+  });
 
-    const maxFirstTwo = hasAPCs ? 20 : 32;
-    const firstTwoRemaining = Math.max(0, maxFirstTwo - firstTwoSUUsed);
-    
-    const maxSubsequent = Math.min(firstTwoRemaining, 12);
-    const subsequentRemaining = Math.max(0, maxSubsequent - subsequentSUUsed);
-    
-    const firstTwoSlots = Math.floor(firstTwoRemaining / 4);
-    const subsequentSlots = Math.floor(subsequentRemaining / 4);
+  const validYears = new Set(validSemesters.map(semester => semester.split(' ')[0]));
+  const activeSemesters = Array.from(new Set([
+    ...(Array.isArray(data.activeSemesters) ? data.activeSemesters : []),
+    ...selectedModules.map(module => module.semester)
+  ])).filter(semester => validSemesters.includes(semester));
+  const visibleYears = Array.from(new Set([
+    ...(Array.isArray(data.visibleYears) ? data.visibleYears : []),
+    ...activeSemesters.map(semester => semester.split(' ')[0])
+  ])).filter(year => validYears.has(year));
 
-    return {
-      firstTwoSUUsed,
-      subsequentSUUsed,
-      firstTwoSlots,
-      subsequentSlots,
-      maxFirstTwo,
-      maxSubsequent,
-      firstTwoRemaining,
-      subsequentRemaining
-    };
-  }, [selectedModules, allSemesters, hasAPCs]);
+  const preferences = data.preferences || {};
+
+  return {
+    plan: {
+      selectedModules,
+      activeSemesters,
+      academicSettings: { 
+        matricYear, 
+        hasAPCs: Boolean(importedSettings.hasAPCs),
+        programmeId: typeof importedSettings.programmeId === 'string' ? importedSettings.programmeId : '',
+        gradingSchemeId: gradingScheme.id
+      },
+      visibleYears,
+      preferences: {
+        selectedYear: visibleYears.includes(preferences.selectedYear) ? preferences.selectedYear : visibleYears[0] || '',
+        showHint: preferences.showHint !== false,
+        hideGrades: Boolean(preferences.hideGrades)
+      }
+    },
+    issues
+  };
 };
 
-const useModuleAPI = () => {
-  const [modules, setModules] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [apiError, setApiError] = useState(null);
+// Adds an imported plan's modules to the current plan, keeping the current matriculation year and settings
+const mergePlans = (current, imported) => {
+  const currentSemesters = generateAllSemesters(current.academicSettings.matricYear);
+  const takenCodes = new Set(current.selectedModules.map(module => module.moduleCode));
+  const baseId = Date.now();
+  const skipped = [];
+  const added = [];
 
-  const fetchModules = useCallback(async () => {
-    try {
-      setApiError(null);
-      const response = await fetch('https://api.nusmods.com/v2/2024-2025/moduleList.json');
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      const data = await response.json();
-      setModules(data);
-    } catch (error) {
-      console.error('Error fetching modules:', error);
-      setApiError('Failed to load module list. Please check your connection and refresh.');
+  imported.selectedModules.forEach(module => {
+    if (takenCodes.has(module.moduleCode)) {
+      skipped.push(`${module.moduleCode} (already in your plan)`);
+    } else if (!currentSemesters.includes(module.semester)) {
+      skipped.push(`${module.moduleCode} (${module.semester} is outside your matriculation years)`);
+    } else {
+      added.push({ ...module, id: baseId + added.length });
     }
-  }, []);
+  });
 
-  const fetchModuleDetails = useCallback(async (moduleCode) => {
-    setLoading(true);
-    try {
-      const response = await fetch(`https://api.nusmods.com/v2/2024-2025/modules/${moduleCode}.json`);
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      return await response.json();
-    } catch (error) {
-      console.error('Error fetching module details:', error);
-      setApiError('Failed to add module. Please try again.');
-      throw error;
-    } finally {
-      setLoading(false);
-    }
-  }, []);
+  const activeSemesters = Array.from(new Set([
+    ...current.activeSemesters,
+    ...imported.activeSemesters,
+    ...added.map(module => module.semester)
+  ])).filter(semester => currentSemesters.includes(semester));
+  const visibleYears = Array.from(new Set([
+    ...current.visibleYears,
+    ...activeSemesters.map(semester => semester.split(' ')[0])
+  ]));
 
-  return { modules, loading, apiError, fetchModules, fetchModuleDetails };
+  return {
+    plan: {
+      ...current,
+      selectedModules: [...current.selectedModules, ...added],
+      activeSemesters,
+      visibleYears
+    },
+    added,
+    skipped
+  };
 };
 
-// Components
-const ErrorBoundary = ({ children }) => {
-  const [hasError, setHasError] = useState(false);
-
-  useEffect(() => {
-    const handleError = () => setHasError(true);
-    window.addEventListener('error', handleError);
-    return () => window.removeEventListener('error', handleError);
-  }, []);
-
-  if (hasError) {
-    return (
-      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
-        <div className="bg-white p-8 rounded-lg shadow-lg max-w-md">
-          <h2 className="text-xl font-bold text-red-600 mb-4">Something went wrong</h2>
-          <p className="text-gray-600 mb-4">The app encountered an error. Please refresh the page.</p>
-          <button 
-            onClick={() => window.location.reload()} 
-            className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600"
-          >
-            Refresh Page
-          </button>
-        </div>
-      </div>
-    );
+// What copying a shared plan into the saved planner would write. An empty planner takes the plan as is;
+// otherwise it is merged, and `skipped` lists the modules the merge leaves out.
+const prepareSharedPlanCopy = (incoming) => {
+  const current = {
+    selectedModules: loadFromStorage(STORAGE_KEYS.SELECTED_MODULES, []),
+    activeSemesters: loadFromStorage(STORAGE_KEYS.ACTIVE_SEMESTERS, []),
+    academicSettings: loadFromStorage(STORAGE_KEYS.ACADEMIC_SETTINGS, null),
+    visibleYears: loadFromStorage(STORAGE_KEYS.VISIBLE_YEARS, [])
+  };
+  if (!current.academicSettings || current.selectedModules.length === 0) {
+    const selectedModules = incoming.selectedModules.map((module, index) => ({ ...module, id: Date.now() + index }));
+    return { plan: { ...incoming, selectedModules }, skipped: [], isEmptyPlan: true };
   }
-  return children;
+  const { plan, skipped } = mergePlans(current, incoming);
+  return { plan, skipped, isEmptyPlan: false };
 };
 
-const GradeSelector = ({ module, onGradeSelect, onClose }) => {
-  const gradeRef = useRef(null);
+// Writes a prepared copy into the stored planner
+const copyPlanIntoStorage = ({ plan, isEmptyPlan }) => {
+  saveToStorage(STORAGE_KEYS.SELECTED_MODULES, plan.selectedModules);
+  saveToStorage(STORAGE_KEYS.ACTIVE_SEMESTERS, plan.activeSemesters);
+  saveToStorage(STORAGE_KEYS.ACADEMIC_SETTINGS, plan.academicSettings);
+  saveToStorage(STORAGE_KEYS.VISIBLE_YEARS, plan.visibleYears);
+  if (isEmptyPlan) {
+    saveToStorage(STORAGE_KEYS.SELECTED_YEAR, plan.visibleYears[0] || '');
+  }
+};
 
-  useEffect(() => {
-    const handleClickOutside = (event) => {
-      if (gradeRef.current && !gradeRef.current.contains(event.target)) {
-        onClose();
-      }
-    };
-    document.addEventListener('mousedown', handleClickOutside);
-    return () => document.removeEventListener('mousedown', handleClickOutside);
-  }, [onClose]);
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
 
-  return (
-    <div ref={gradeRef} className="bg-white border border-gray-300 rounded shadow-lg p-2 w-full">
-      {GRADE_GRID.map((row, rowIndex) => (
-        <div key={rowIndex} className="flex gap-1 mb-1 last:mb-0">
-          {row.map((grade, colIndex) => (
-            grade ? (
-              <button
-                key={grade}
-                type="button"
-                onClick={() => onGradeSelect(grade)}
-                className="px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-100 
-                         flex-1 text-center transition-colors font-medium bg-white"
-              >
-                {grade}
-              </button>
-            ) : (
-              <div key={colIndex} className="flex-1"></div>
-            )
-          ))}
-        </div>
-      ))}
-    </div>
-  );
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
 };
 
-const ModuleCard = ({ 
-  module, 
-  onRemove, 
-  onLetterGradeUpdate, 
-  onToggleSU,
-  onDragStart,
-  onDragEnd,
-  isBeingDragged,
-  shouldMoveDown,
-  shouldMoveUp,
-  isSpecialTerm,
-  hideGrades = false
-}) => {
-  const [isDragging, setIsDragging] = useState(false);
-  const [showGradeSelector, setShowGradeSelector] = useState(false);
-  const [longPressTimer, setLongPressTimer] = useState(null);
+const transformBytes = async (bytes, transformStream) => 
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transformStream)).arrayBuffer());
 
-  const handleDragStart = (e) => {
-    setIsDragging(true);
-    onDragStart(module.id);
-    e.dataTransfer.setData('application/json', JSON.stringify(module));
-    e.dataTransfer.effectAllowed = 'move';
+// Share links store modules as [code, title, units, semester index, grade, S/U] tuples.
+// The JSON is deflated where the browser supports CompressionStream ("z") and sent as-is otherwise ("j").
+// Each module is [code, title, units, semester index, custom type, mapped code, grade?, S/U?]. Version 1
+// links predate custom modules and have no type or mapped code.
+const encodeSharedPlan = async ({ selectedModules, academicSettings }, { includeGrades }) => {
+  const semesters = generateAllSemesters(academicSettings.matricYear);
+  const payload = {
+    v: 2,
+    y: academicSettings.matricYear,
+    a: academicSettings.hasAPCs ? 1 : 0,
+    s: getGradingScheme(academicSettings.gradingSchemeId).id,
+    g: includeGrades ? 1 : 0,
+    m: selectedModules.map(module => [
+      module.moduleCode,
+      module.title,
+      Number(module.moduleCredit) || 0,
+      semesters.indexOf(module.semester),
+      module.isCustom ? module.creditType : '',
+      module.mappedCode || '',
+      ...(includeGrades ? [module.letterGrade || '', module.isSU ? 1 : 0] : [])
+    ])
   };
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
 
-  const handleDragEnd = () => {
-    setIsDragging(false);
-    onDragEnd();
-  };
+  if (typeof CompressionStream === 'undefined') {
+    return `${SHARE_HASH_PREFIX}j.${toBase64Url(bytes)}`;
+  }
+  return `${SHARE_HASH_PREFIX}z.${toBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')))}`;
+};
 
-  const handleGradeClick = (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    setShowGradeSelector(!showGradeSelector);
-  };
+const decodeSharedPlan = async (hash) => {
+  if (!hash.startsWith(SHARE_HASH_PREFIX)) return null;
 
-  const handleGradeSelect = (grade) => {
-    onLetterGradeUpdate(module.id, grade);
-    setShowGradeSelector(false);
-  };
+  try {
+    const [format, data] = hash.substring(SHARE_HASH_PREFIX.length).split('.');
+    let bytes = fromBase64Url(data);
+    if (format === 'z') {
+      bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (format !== 'j') {
+      return null;
+    }
 
-  const handleContextMenu = (e) => {
-    e.preventDefault();
-    if (module.letterGrade && module.letterGrade !== 'CS' && module.letterGrade !== 'CU') {
-      onToggleSU(module.id);
+    const payload = JSON.parse(new TextDecoder().decode(bytes));
+    if (![1, 2].includes(payload.v) || !MATRIC_YEAR_OPTIONS.includes(payload.y) || !Array.isArray(payload.m)) return null;
+
+    const semesters = generateAllSemesters(payload.y);
+    const selectedModules = payload.m
+      .filter(([, , , semesterIndex]) => semesters[semesterIndex])
+      .map(([moduleCode, title, moduleCredit, semesterIndex, ...rest], index) => {
+        const [creditType, mappedCode, letterGrade = '', isSU = 0] = payload.v === 1 ? ['', '', ...rest] : rest;
+        return {
+          moduleCode,
+          title,
+          moduleCredit: String(moduleCredit),
+          letterGrade,
+          isSU: Boolean(isSU),
+          semester: semesters[semesterIndex],
+          id: index + 1,
+          ...(Object.hasOwn(CUSTOM_MODULE_TYPES, creditType) ? { isCustom: true, creditType, mappedCode } : {})
+        };
+      });
+    const activeSemesters = semesters.filter(semester => selectedModules.some(module => module.semester === semester));
+
+    return {
+      selectedModules,
+      activeSemesters,
+      academicSettings: { matricYear: payload.y, hasAPCs: Boolean(payload.a), gradingSchemeId: getGradingScheme(payload.s).id },
+      visibleYears: Array.from(new Set(activeSemesters.map(semester => semester.split(' ')[0]))),
+      gradesHidden: !payload.g
+    };
+  } catch (error) {
+    console.error('Failed to read shared plan:', error);
+    return null;
+  }
+};
+
+// IndexedDB-backed store for NUSMods responses. Entries carry a schema version and timestamp,
+// and every failure degrades to a cache miss so the app still works without IndexedDB.
+const createModuleCache = (idbFactory = typeof indexedDB === 'undefined' ? null : indexedDB) => {
+  let dbPromise = null;
+
+  const openDB = () => {
+    if (!idbFactory) return Promise.resolve(null);
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = idbFactory.open(MODULE_CACHE.DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(MODULE_CACHE.STORE_NAME, { keyPath: 'key' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        console.error('Failed to open module cache:', error);
+        return null;
+      });
     }
+    return dbPromise;
   };
 
-  const handleTouchStart = (e) => {
-    if (module.letterGrade && module.letterGrade !== 'CS' && module.letterGrade !== 'CU') {
-      const timer = setTimeout(() => {
-        onToggleSU(module.id);
-      }, 500);
-      setLongPressTimer(timer);
-    }
+  const runRequest = async (mode, operation) => {
+    const db = await openDB();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+      const store = db.transaction(MODULE_CACHE.STORE_NAME, mode).objectStore(MODULE_CACHE.STORE_NAME);
+      const request = operation(store);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
   };
 
-  const handleTouchEnd = () => {
-    if (longPressTimer) {
-      clearTimeout(longPressTimer);
-      setLongPressTimer(null);
+  const get = async (key) => {
+    try {
+      const entry = await runRequest('readonly', store => store.get(key));
+      return entry && entry.version === MODULE_CACHE.VERSION ? entry : null;
+    } catch (error) {
+      console.error('Failed to read module cache:', error);
+      return null;
     }
   };
 
-  const cardBgClass = isSpecialTerm ? "bg-blue-100" : "bg-green-100";
-  const textClasses = isSpecialTerm 
-    ? { title: "text-blue-800", subtitle: "text-blue-700", meta: "text-blue-600" }
+  const set = async (key, data) => {
+    try {
+      await runRequest('readwrite', store => store.put({ key, version: MODULE_CACHE.VERSION, timestamp: Date.now(), data }));
+    } catch (error) {
+      console.error('Failed to write module cache:', error);
+    }
+  };
+
+  return { get, set };
+};
+
+const moduleCache = createModuleCache();
+
+const getGradingScheme = (schemeId) => 
+  GRADING_SCHEMES.find(scheme => scheme.id === schemeId) || DEFAULT_GRADING_SCHEME;
+
+// Grade points for a grade under a scheme, or null when the grade doesn't count (or isn't on that scale)
+const getGradePoints = (grade, scheme) => scheme.gradePoints[grade] ?? null;
+
+// Transfer and exchange credit never enters the GPA, whatever grade is recorded against it
+const countsTowardsGPA = (module) => !module.creditType || module.creditType === 'graded';
+
+// The NUS code a custom module stands in for, so it satisfies prerequisites and degree requirements
+const getEffectiveModuleCode = (module) => module.mappedCode || module.moduleCode;
+
+// Whether a module's S/U flag actually applies, i.e. it has a grade that can be S/U-ed under the scheme
+const isCountedAsSU = (module, scheme) => 
+  Boolean(scheme.suPolicy && countsTowardsGPA(module) && module.isSU && module.letterGrade && !scheme.nonSUGrades.includes(module.letterGrade));
+
+const getSemesterGPA = (selectedModules, semester, scheme = DEFAULT_GRADING_SCHEME) => {
+  const semesterModules = selectedModules.filter(module => module.semester === semester);
+  let semesterPoints = 0;
+  let semesterGradedMCs = 0;
+
+  semesterModules.forEach(module => {
+    const moduleCredit = Number(module.moduleCredit) || 0;
+    
+    if (isCountedAsSU(module, scheme) || !countsTowardsGPA(module)) {
+      return;
+    }
+    
+    const grade = module.letterGrade;
+    
+    if (grade && moduleCredit > 0) {
+      const points = getGradePoints(grade, scheme);
+      if (points !== null) {
+        semesterPoints += points * moduleCredit;
+        semesterGradedMCs += moduleCredit;
+      }
+    }
+  });
+
+  return semesterGradedMCs > 0 ? (semesterPoints / semesterGradedMCs).toFixed(2) : '0.00';
+};
+
+const getSemesterSU = (selectedModules, semester, scheme = DEFAULT_GRADING_SCHEME) => {
+  const semesterModules = selectedModules.filter(module => module.semester === semester);
+  return semesterModules.reduce((sum, module) => {
+    if (isCountedAsSU(module, scheme)) {
+      return sum + (Number(module.moduleCredit) || 0);
+    }
+    return sum;
+  }, 0);
+};
+
+// Fields kept from a NUSMods module detail response. Bump MODULE_DETAILS_VERSION when adding fields
+// so modules saved earlier are refreshed in the background.
+const pickModuleDetails = (moduleData) => ({
+  moduleCode: moduleData.moduleCode,
+  title: moduleData.title,
+  moduleCredit: moduleData.moduleCredit,
+  prereqTree: moduleData.prereqTree || null,
+  preclusion: moduleData.preclusion || '',
+  corequisite: moduleData.corequisite || '',
+  attributes: moduleData.attributes || {},
+  // NUSMods gives [lecture, tutorial, lab, project, preparation] hours per week, or a text note
+  workload: Array.isArray(moduleData.workload) ? moduleData.workload : null,
+  // Offerings and final exams only; the timetables are too large to keep per module
+  semesterData: Array.isArray(moduleData.semesterData) 
+    ? moduleData.semesterData.map(({ semester, examDate, examDuration }) => ({ semester, examDate, examDuration })) 
+    : null,
+  detailsVersion: MODULE_DETAILS_VERSION
+});
+
+// Students may override the title and units NUSMods reports (e.g. variable-credit internships or
+// retired modules). Overridden values live on the module itself so every total picks them up, with
+// the NUSMods values kept in `original`.
+const OVERRIDABLE_FIELDS = ['title', 'moduleCredit'];
+
+const applyModuleEdit = (module, changes) => {
+  if (module.isCustom) return { ...module, ...changes };
+
+  const original = {};
+  const overrides = {};
+  OVERRIDABLE_FIELDS.forEach(field => {
+    original[field] = module.original?.[field] ?? module[field];
+    if (changes[field] !== undefined && changes[field] !== original[field]) {
+      overrides[field] = changes[field];
+    }
+  });
+
+  const { overrides: _previousOverrides, original: _previousOriginal, ...rest } = module;
+  return Object.keys(overrides).length > 0
+    ? { ...rest, ...original, ...overrides, overrides, original }
+    : { ...rest, ...original };
+};
+
+// Merges freshly fetched NUSMods details into a module without losing the student's overrides
+const mergeModuleDetails = (module, details) => {
+  if (!module.overrides) return { ...module, ...details };
+
+  const original = {};
+  Object.keys(module.overrides).forEach(field => {
+    original[field] = details[field];
+  });
+  return { ...module, ...details, ...module.overrides, original: { ...module.original, ...original } };
+};
+
+// Undo and redo restore the student's edits, but details fetched since the snapshot (background
+// refreshes, confirmed provisional modules) are kept. Overridden fields are re-read from `original`.
+const keepFetchedDetails = (restoredModules, currentModules) => {
+  const currentById = new Map(currentModules.map(module => [module.id, module]));
+  return restoredModules.map(module => {
+    const current = currentById.get(module.id);
+    const isFetched = (m) => m.detailsVersion === MODULE_DETAILS_VERSION && !m.isProvisional;
+    if (!current || current.isCustom || !isFetched(current) || isFetched(module)) return module;
+    const details = { ...pickModuleDetails(current), ...current.original };
+    return { ...mergeModuleDetails(module, details), isProvisional: false };
+  });
+};
+
+// NUSMods sets attributes.su on S/U-able modules. Entries without attributes (provisional or saved
+// before details were kept) are assumed to allow S/U until they are refreshed
+const isSUEligible = (module) => !module.attributes || Boolean(module.attributes.su);
+
+const extractModuleCodes = (text) => Array.from(new Set((text || '').match(/\b[A-Z]{2,4}\d{4}[A-Z]{0,3}\b/g) || []));
+
+// prereqTree leaves look like "CS1231S:D" (code and minimum grade) or "CS2%:D" (any code with that prefix)
+const matchesPrereqLeaf = (leaf, completedCodes) => {
+  const pattern = leaf.split(':')[0];
+  if (pattern.includes('%')) {
+    const prefix = pattern.split('%')[0];
+    return completedCodes.some(code => code.startsWith(prefix));
+  }
+  return completedCodes.includes(pattern);
+};
+
+// Returns null when the prerequisite tree is satisfied, otherwise a short description of what is missing
+const describeMissingPrereqs = (tree, completedCodes) => {
+  if (!tree) return null;
+  if (typeof tree === 'string') {
+    return matchesPrereqLeaf(tree, completedCodes) ? null : tree.split(':')[0].replace(/%/g, '*');
+  }
+
+  const describeChildren = (children) => children
+    .map(child => describeMissingPrereqs(child, completedCodes))
+    .filter(Boolean);
+
+  if (tree.and) {
+    const missing = describeChildren(tree.and);
+    return missing.length > 0 ? missing.join(', ') : null;
+  }
+  if (tree.or) {
+    const missing = describeChildren(tree.or);
+    return missing.length < tree.or.length ? null : `one of (${missing.join(' / ')})`;
+  }
+  if (tree.nOf) {
+    const [count, children] = tree.nOf;
+    const missing = describeChildren(children);
+    return children.length - missing.length >= count ? null : `${count} of (${missing.join(' / ')})`;
+  }
+  return null;
+};
+
+const isFailedModule = (module) => FAILING_GRADES.has(module.letterGrade);
+
+// Checks prerequisites against earlier semesters, corequisites against the same or earlier semesters,
+// and preclusions against the whole plan
+const checkModuleRequisites = (module, selectedModules, allSemesters) => {
+  const warnings = [];
+  const semesterIndex = allSemesters.indexOf(module.semester);
+  if (semesterIndex === -1) return warnings;
+
+  const codesTakenBy = (lastIndex) => selectedModules
+    .filter(other => other.id !== module.id && !isFailedModule(other))
+    .filter(other => {
+      const otherIndex = allSemesters.indexOf(other.semester);
+      return otherIndex !== -1 && otherIndex <= lastIndex;
+    })
+    .map(getEffectiveModuleCode);
+
+  const missingPrereqs = describeMissingPrereqs(module.prereqTree, codesTakenBy(semesterIndex - 1));
+  if (missingPrereqs) {
+    warnings.push({ label: 'Prerequisites', detail: `Not met before ${module.semester}: ${missingPrereqs}` });
+  }
+
+  const corequisites = extractModuleCodes(module.corequisite);
+  const coreqsTaken = codesTakenBy(semesterIndex);
+  if (corequisites.length > 0 && !corequisites.some(code => coreqsTaken.includes(code))) {
+    warnings.push({ label: 'Corequisite', detail: `Take alongside or before: ${corequisites.join(', ')}` });
+  }
+
+  const precluded = extractModuleCodes(module.preclusion);
+  const conflicts = selectedModules
+    .filter(other => other.id !== module.id && precluded.includes(getEffectiveModuleCode(other)))
+    .map(other => `${other.moduleCode} (${other.semester})`);
+  if (conflicts.length > 0) {
+    warnings.push({ label: 'Precluded', detail: `Precluded by ${conflicts.join(', ')}` });
+  }
+
+  return warnings;
+};
+
+const getTermType = (semester) => semester.includes('ST') ? 'special' : 'regular';
+
+// NUSMods numbers terms 1-4: Sem 1, Sem 2, ST1, ST2
+const getNUSModsTerm = (semester) => SEMESTER_TERMS.indexOf(semester.split(' ').slice(1).join(' ')) + 1;
+
+// true/false when NUSMods says whether a module runs in that term, null when we don't have the data
+const isOfferedIn = (module, semester) => {
+  if (module.isCustom || !Array.isArray(module.semesterData)) return null;
+  return module.semesterData.some(offering => offering.semester === getNUSModsTerm(semester));
+};
+
+const getExamSlot = (module) => {
+  if (!Array.isArray(module.semesterData)) return null;
+  const offering = module.semesterData.find(entry => entry.semester === getNUSModsTerm(module.semester));
+  if (!offering || !offering.examDate) return null;
+
+  const start = new Date(offering.examDate);
+  return { start, end: new Date(start.getTime() + (Number(offering.examDuration) || 120) * 60000) };
+};
+
+// NUS exams are scheduled in Singapore time, whatever the student's device is set to
+const formatExamSlot = (slot) => {
+  const date = slot.start.toLocaleDateString('en-SG', { timeZone: 'Asia/Singapore', weekday: 'short', day: 'numeric', month: 'short' });
+  const time = (value) => value.toLocaleTimeString('en-SG', { timeZone: 'Asia/Singapore', hour: 'numeric', minute: '2-digit' });
+  return `${date}, ${time(slot.start)}–${time(slot.end)}`;
+};
+
+// Pairs of modules in one semester whose final exams overlap
+const findExamClashes = (modules) => {
+  const slots = modules
+    .map(module => ({ module, slot: getExamSlot(module) }))
+    .filter(entry => entry.slot);
+  const clashes = [];
+  slots.forEach((first, index) => {
+    slots.slice(index + 1).forEach(second => {
+      if (first.slot.start < second.slot.end && second.slot.start < first.slot.end) {
+        clashes.push({ first, second });
+      }
+    });
+  });
+  return clashes;
+};
+
+const describeExamClash = ({ first, second }) => 
+  `${first.module.moduleCode} (${formatExamSlot(first.slot)}) and ${second.module.moduleCode} (${formatExamSlot(second.slot)})`;
+
+// Units taken in a semester. Transfer credit is recorded against a semester but isn't a load.
+const getSemesterLoad = (modules) => sumModuleUnits(modules.filter(module => module.creditType !== 'transfer'));
+
+// Overload/underload warning for a semester, or null. Empty semesters aren't flagged.
+const checkSemesterLoad = (semester, units, unitLimits = DEFAULT_UNIT_LIMITS) => {
+  const termType = getTermType(semester);
+  const { min, max } = unitLimits[termType];
+  const termName = termType === 'special' ? 'special terms' : 'regular semesters';
+
+  if (units > max) {
+    return { label: 'Overload', detail: `${units} units is above the ${max}-unit limit for ${termName}` };
+  }
+  if (units > 0 && units < min) {
+    return { label: 'Underload', detail: `${units} units is below the ${min}-unit minimum for ${termName}` };
+  }
+  return null;
+};
+
+// Weekly hours across a set of modules: lectures, tutorials and labs are contact time, project work and
+// preparation are self-study. Modules without NUSMods workload data are counted separately.
+const summariseWorkload = (modules) => modules.reduce((summary, module) => {
+  if (!Array.isArray(module.workload)) {
+    return { ...summary, modulesWithoutData: summary.modulesWithoutData + 1 };
+  }
+  const [lecture = 0, tutorial = 0, lab = 0, project = 0, preparation = 0] = module.workload.map(hours => Number(hours) || 0);
+  const contactHours = summary.contactHours + lecture + tutorial + lab;
+  const selfStudyHours = summary.selfStudyHours + project + preparation;
+  return { ...summary, contactHours, selfStudyHours, totalHours: contactHours + selfStudyHours };
+}, { contactHours: 0, selfStudyHours: 0, totalHours: 0, modulesWithoutData: 0 });
+
+const getModuleLevel = (moduleCode) => {
+  const match = /\d{4}/.exec(moduleCode);
+  return match ? Number(match[0][0]) * 1000 : 0;
+};
+
+const sumModuleUnits = (modules) => modules.reduce((sum, module) => sum + (Number(module.moduleCredit) || 0), 0);
+
+const matchesModuleFilter = (module, rule) => {
+  const level = getModuleLevel(module.moduleCode);
+  return (!rule.prefixes || rule.prefixes.some(prefix => module.moduleCode.startsWith(prefix))) &&
+    (!rule.minLevel || level >= rule.minLevel) &&
+    (!rule.maxLevel || level <= rule.maxLevel);
+};
+
+// One evaluator per requirement type in a programme rule file. Evaluators may return `claimedCodes`
+// (modules pools should not count again) and `excessUnits` (units above a cap that the total ignores).
+const REQUIREMENT_EVALUATORS = {
+  totalUnits: (rule, modules, context) => {
+    const units = sumModuleUnits(modules) - context.excessUnits;
+    return { isMet: units >= rule.minUnits, current: units, required: rule.minUnits, modules: [] };
+  },
+  core: (rule, modules) => {
+    const counted = [];
+    const missing = [];
+    rule.modules.forEach(entry => {
+      const options = Array.isArray(entry) ? entry : [entry];
+      const match = modules.find(module => options.includes(module.moduleCode));
+      if (match) {
+        counted.push(match.moduleCode);
+      } else {
+        missing.push(options.join(' / '));
+      }
+    });
+    return { 
+      isMet: missing.length === 0, 
+      current: counted.length, 
+      required: rule.modules.length, 
+      modules: counted, 
+      missing, 
+      claimedCodes: counted 
+    };
+  },
+  pool: (rule, modules, context) => {
+    const matching = modules.filter(module => 
+      !context.claimedCodes.has(module.moduleCode) && matchesModuleFilter(module, rule)
+    );
+    const units = sumModuleUnits(matching);
+    return { isMet: units >= rule.minUnits, current: units, required: rule.minUnits, modules: matching.map(m => m.moduleCode) };
+  },
+  cap: (rule, modules) => {
+    const matching = modules.filter(module => matchesModuleFilter(module, rule));
+    const units = sumModuleUnits(matching);
+    const excessUnits = Math.max(0, units - rule.maxUnits);
+    return {
+      isMet: true,
+      current: units,
+      required: rule.maxUnits,
+      modules: matching.map(m => m.moduleCode),
+      excessUnits,
+      note: excessUnits > 0 ? `${excessUnits} units above the cap do not count towards the total` : null
+    };
+  }
+};
+
+// Core and cap rules run first so that pools and the unit total can account for them
+const REQUIREMENT_ORDER = { core: 0, cap: 1 };
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isCodeList = (value) => Array.isArray(value) && value.length > 0 && value.every(code => typeof code === 'string');
+
+// What is wrong with one requirement's fields for its type, or null. Evaluators trust these fields.
+const checkRequirementRule = (rule) => {
+  if (rule.type === 'core' && !(Array.isArray(rule.modules) && rule.modules.length > 0 && 
+      rule.modules.every(entry => typeof entry === 'string' || isCodeList(entry)))) {
+    return 'needs a list of module codes or groups of alternative codes';
+  }
+  if ((rule.type === 'pool' || rule.type === 'totalUnits') && !isFiniteNumber(rule.minUnits)) return 'needs a numeric minUnits';
+  if (rule.type === 'cap' && !isFiniteNumber(rule.maxUnits)) return 'needs a numeric maxUnits';
+  if (rule.prefixes !== undefined && !(Array.isArray(rule.prefixes) && rule.prefixes.every(prefix => typeof prefix === 'string'))) {
+    return 'needs prefixes to be a list of code prefixes';
+  }
+  if (['minLevel', 'maxLevel'].some(field => rule[field] !== undefined && !isFiniteNumber(rule[field]))) {
+    return 'needs minLevel and maxLevel to be numbers';
+  }
+  return null;
+};
+
+const validateProgramme = (programme) => {
+  if (!programme || typeof programme.id !== 'string' || typeof programme.name !== 'string' || 
+      !Array.isArray(programme.requirements)) {
+    return 'A rule file needs an id, a name and a list of requirements.';
+  }
+  for (const rule of programme.requirements) {
+    if (!rule || typeof rule.id !== 'string') return 'Every requirement in a rule file needs an id.';
+    if (!Object.hasOwn(REQUIREMENT_EVALUATORS, rule.type)) {
+      return `Unknown requirement type "${rule.type}" in ${rule.id}.`;
+    }
+    const problem = checkRequirementRule(rule);
+    if (problem) return `Requirement ${rule.id} ${problem}.`;
+  }
+  return null;
+};
+
+const evaluateDegreeRequirements = (programme, selectedModules) => {
+  const attempts = getModuleAttempts(selectedModules);
+  const modules = selectedModules
+    .filter(module => !isFailedModule(module) && !attempts.get(module.id).isSuperseded)
+    .map(module => ({ ...module, moduleCode: getEffectiveModuleCode(module) }));
+  const context = { claimedCodes: new Set(), excessUnits: 0 };
+  const results = {};
+
+  [...programme.requirements]
+    .sort((a, b) => (REQUIREMENT_ORDER[a.type] ?? 2) - (REQUIREMENT_ORDER[b.type] ?? 2))
+    .forEach(rule => {
+      const result = REQUIREMENT_EVALUATORS[rule.type](rule, modules, context);
+      (result.claimedCodes || []).forEach(code => context.claimedCodes.add(code));
+      context.excessUnits += result.excessUnits || 0;
+      results[rule.id] = result;
+    });
+
+  const requirements = programme.requirements.map(rule => ({
+    id: rule.id,
+    name: rule.name,
+    type: rule.type,
+    missing: [],
+    note: null,
+    ...results[rule.id]
+  }));
+
+  return { requirements, isMet: requirements.every(requirement => requirement.isMet) };
+};
+
+// Rule sets are ordered newest first; AY labels compare correctly as strings
+const getGERuleSet = (matricYear) => 
+  GE_RULE_SETS.find(ruleSet => matricYear >= ruleSet.fromMatricYear) || GE_RULE_SETS[GE_RULE_SETS.length - 1];
+
+const classifyModulePillar = (module, ruleSet) => {
+  const moduleCode = getEffectiveModuleCode(module);
+  return ruleSet.pillars.find(pillar => 
+    (pillar.modules || []).includes(moduleCode) || 
+    (Boolean(pillar.prefixes) && matchesModuleFilter({ moduleCode }, pillar))
+  ) || null;
+};
+
+const evaluateGEProgress = (ruleSet, selectedModules) => ruleSet.pillars.map(pillar => {
+  const count = pillar.count || 1;
+  const modules = selectedModules
+    .filter(module => !isFailedModule(module) && classifyModulePillar(module, ruleSet)?.id === pillar.id)
+    .slice(0, count);
+  return { ...pillar, count, modules, isFulfilled: modules.length >= count };
+});
+
+const getHonoursScheme = (matricYear) => 
+  HONOURS_SCHEMES.find(scheme => matricYear >= scheme.fromMatricYear) || HONOURS_SCHEMES[HONOURS_SCHEMES.length - 1];
+
+// Maps the cumulative GPA to a degree class and works out the average needed over the remaining
+// planned (ungraded) units to stay in the current class or reach the next one
+const projectHonoursClass = (gpaData, remainingUnits, matricYear) => {
+  const { classes } = getHonoursScheme(matricYear);
+  const hasGrades = gpaData.gradedMCs > 0;
+  const currentIndex = hasGrades ? classes.findIndex(honoursClass => gpaData.gpa >= honoursClass.minGPA) : -1;
+  const current = classes[currentIndex] || null;
+  const next = currentIndex === -1 ? classes[classes.length - 1] : classes[currentIndex - 1] || null;
+
+  const requiredAverage = (boundary) => remainingUnits > 0
+    ? Math.max(0, (boundary * (gpaData.gradedMCs + remainingUnits) - gpaData.totalPoints) / remainingUnits)
+    : null;
+
+  return {
+    current,
+    next,
+    hasGrades,
+    remainingUnits,
+    gapToNext: next && hasGrades ? Number((next.minGPA - gpaData.gpa).toFixed(2)) : null,
+    averageToStay: current ? requiredAverage(current.minGPA) : null,
+    averageToReachNext: next ? requiredAverage(next.minGPA) : null
+  };
+};
+
+// Maps a semester label such as "AY21/22 Sem 1" to the NUSMods catalogue year "2021-2022"
+const getAcadYear = (semester) => {
+  const match = /^AY(\d{2})\/(\d{2})/.exec(semester || '');
+  return match ? `20${match[1]}-20${match[2]}` : DEFAULT_ACAD_YEAR;
+};
+
+const formatAcadYear = (acadYear) => `AY${acadYear.substring(2, 4)}/${acadYear.substring(7, 9)}`;
+
+// Custom hooks
+const useLocalStorage = (key, defaultValue) => {
+  const [value, setValue] = useState(() => loadFromStorage(key, defaultValue));
+  
+  useEffect(() => {
+    saveToStorage(key, value);
+  }, [key, value]);
+  
+  return [value, setValue];
+};
+
+const isSameSnapshot = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Undo/redo over whole-plan snapshots. `record` is called before a tracked change and keeps
+// one entry per synchronous batch, so an action touching several pieces of state undoes in one step.
+const usePlanHistory = (snapshot, restore) => {
+  const historyRef = useRef({ past: [], future: [] });
+  const snapshotRef = useRef(snapshot);
+  const pendingRef = useRef(false);
+  const [, setVersion] = useState(0);
+  snapshotRef.current = snapshot;
+
+  const record = useCallback(() => {
+    if (pendingRef.current) return;
+    pendingRef.current = true;
+    Promise.resolve().then(() => { pendingRef.current = false; });
+    const history = historyRef.current;
+    history.past = [...history.past, snapshotRef.current].slice(-HISTORY_LIMIT);
+    history.future = [];
+    setVersion(v => v + 1);
+  }, []);
+
+  const step = useCallback((from, to) => {
+    const history = historyRef.current;
+    const current = snapshotRef.current;
+    // Skip entries left by changes that turned out to be no-ops
+    let target = history[from].pop();
+    while (target && isSameSnapshot(target, current)) target = history[from].pop();
+    if (!target) return false;
+    history[to].push(current);
+    restore(target);
+    setVersion(v => v + 1);
+    return true;
+  }, [restore]);
+
+  const undo = useCallback(() => step('past', 'future'), [step]);
+  const redo = useCallback(() => step('future', 'past'), [step]);
+
+  const clear = useCallback(() => {
+    historyRef.current = { past: [], future: [] };
+    setVersion(v => v + 1);
+  }, []);
+
+  // The entry the next undo would restore; it changes whenever a change is recorded or undone
+  const latestEntry = useCallback(() => historyRef.current.past[historyRef.current.past.length - 1] || null, []);
+
+  return {
+    record,
+    undo,
+    redo,
+    clear,
+    latestEntry,
+    canUndo: historyRef.current.past.length > 0,
+    canRedo: historyRef.current.future.length > 0
+  };
+};
+
+// Insert position for a drop at clientY among a drop zone's cards. Cards are measured at their
+// resting positions, so the shift animation and the dragged card itself don't move the target.
+const getInsertIndex = (zone, clientY, draggedElement) => {
+  const cards = Array.from(zone.querySelectorAll('[data-module-id]')).filter(card => card !== draggedElement);
+  const index = cards.findIndex(card => {
+    const rect = card.getBoundingClientRect();
+    const { transform } = window.getComputedStyle(card);
+    const shift = transform && transform !== 'none' ? new DOMMatrixReadOnly(transform).m42 : 0;
+    return clientY < rect.top - shift + rect.height / 2;
+  });
+  return index === -1 ? cards.length : index;
+};
+
+// The drop zone (a SemesterCard or the unscheduled pool) under the pointer, looking past the
+// dragged card that follows it
+const findDropTarget = (clientX, clientY, draggedElement) => {
+  if (!document.elementsFromPoint) return null;
+  const hit = document.elementsFromPoint(clientX, clientY).find(element => !draggedElement.contains(element));
+  const zone = hit && hit.closest('[data-drop-zone]');
+  return zone ? { semester: zone.dataset.dropZone, insertIndex: getInsertIndex(zone, clientY, draggedElement) } : null;
+};
+
+// Pointer-driven module dragging for mouse and touch. Cards report where the pointer is; this
+// tracks the drop zone and insert position under it and calls onDrop on release.
+const useModuleDrag = (onDrop) => {
+  const [dragState, setDragState] = useState(null);
+  const dragRef = useRef(null);
+  const onDropRef = useRef(onDrop);
+  onDropRef.current = onDrop;
+
+  const update = useCallback((next) => {
+    dragRef.current = next;
+    setDragState(next);
+  }, []);
+
+  const start = useCallback((moduleId) => {
+    update({ moduleId, semester: null, insertIndex: -1 });
+  }, [update]);
+
+  const move = useCallback((clientX, clientY, element) => {
+    const current = dragRef.current;
+    if (!current) return;
+    const target = findDropTarget(clientX, clientY, element);
+    const semester = target ? target.semester : null;
+    const insertIndex = target ? target.insertIndex : -1;
+    if (semester !== current.semester || insertIndex !== current.insertIndex) {
+      update({ ...current, semester, insertIndex });
+    }
+  }, [update]);
+
+  const end = useCallback((commit) => {
+    const current = dragRef.current;
+    update(null);
+    if (commit && current && current.semester) {
+      onDropRef.current(current.moduleId, current.semester, current.insertIndex);
+    }
+  }, [update]);
+
+  return { dragState, start, move, end };
+};
+
+const calculateGPA = (selectedModules, scheme = DEFAULT_GRADING_SCHEME) => {
+  let totalPoints = 0;
+  let totalGradedMCs = 0;
+  let totalMCs = 0;
+  const attempts = getModuleAttempts(selectedModules);
+
+  selectedModules.forEach(module => {
+    // Units guessed while offline stay out until NUSMods confirms them
+    if (module.isProvisional) return;
+    const moduleCredit = Number(module.moduleCredit) || 0;
+    if (!attempts.get(module.id).isSuperseded) {
+      totalMCs += moduleCredit;
+    }
+    
+    if (isCountedAsSU(module, scheme) || !countsTowardsGPA(module)) {
+      return;
+    }
+    
+    const grade = module.letterGrade;
+    
+    if (grade && moduleCredit > 0) {
+      const points = getGradePoints(grade, scheme);
+      
+      if (points !== null) {
+        totalPoints += points * moduleCredit;
+        totalGradedMCs += moduleCredit;
+      }
+    }
+  });
+
+  const gpa = totalGradedMCs > 0 ? totalPoints / totalGradedMCs : 0;
+  return { 
+    gpa: Number(gpa.toFixed(2)), 
+    totalMCs, 
+    gradedMCs: totalGradedMCs,
+    totalPoints
+  };
+};
+
+const useGPACalculations = (selectedModules, scheme = DEFAULT_GRADING_SCHEME) => 
+  useMemo(() => calculateGPA(selectedModules, scheme), [selectedModules, scheme]);
+
+// Per-semester and cumulative GPA in chronological order, for the trend chart. GPAs are null until a
+// semester (or the plan so far) has graded units.
+const buildGPATrend = (selectedModules, activeSemesters, scheme = DEFAULT_GRADING_SCHEME) => 
+  [...activeSemesters]
+    .sort((a, b) => getSemesterOrder(a) - getSemesterOrder(b))
+    .map(semester => {
+      const semesterModules = selectedModules.filter(module => module.semester === semester);
+      const semesterGPA = calculateGPA(semesterModules, scheme);
+      const cumulativeGPA = calculateGPA(
+        selectedModules.filter(module => getSemesterOrder(module.semester) <= getSemesterOrder(semester)), 
+        scheme
+      );
+      return {
+        semester,
+        semesterGPA: semesterGPA.gradedMCs > 0 ? semesterGPA.gpa : null,
+        cumulativeGPA: cumulativeGPA.gradedMCs > 0 ? cumulativeGPA.gpa : null,
+        units: sumModuleUnits(semesterModules),
+        suUnits: getSemesterSU(selectedModules, semester, scheme)
+      };
+    });
+
+// Distinct passing grade point values, highest first, e.g. { name: 'A+/A', value: 5.0 }
+const getTargetGradeOptions = (scheme) => Object.entries(scheme.gradePoints)
+  .filter(([, points]) => points !== null && points > 0)
+  .reduce((options, [grade, points]) => {
+    const existing = options.find(option => option.value === points);
+    if (existing) {
+      existing.name = `${existing.name}/${grade}`;
+    } else {
+      options.push({ name: grade, value: points });
+    }
+    return options;
+  }, []);
+
+const GPA_EPSILON = 1e-9;
+
+// Solves for the average needed over the student's remaining planned (ungraded) modules, using their
+// real unit counts, and lists a few two-grade combinations that reach the target
+const calculateTargetGrades = (gpaData, remainingModules, targetGPA, scheme = DEFAULT_GRADING_SCHEME) => {
+  const gradeOptions = getTargetGradeOptions(scheme);
+  const credits = remainingModules
+    .map(module => Number(module.moduleCredit) || 0)
+    .filter(credit => credit > 0)
+    .sort((a, b) => b - a);
+  const remainingUnits = credits.reduce((sum, credit) => sum + credit, 0);
+
+  if (remainingUnits === 0) {
+    return { message: "Add your upcoming modules (without grades) to see what you need in them." };
+  }
+
+  const totalUnits = gpaData.gradedMCs + remainingUnits;
+  const requiredPoints = targetGPA * totalUnits - gpaData.totalPoints;
+  const requiredAverage = requiredPoints / remainingUnits;
+  const best = gradeOptions[0];
+  const worst = gradeOptions[gradeOptions.length - 1];
+
+  if (requiredAverage > best.value + GPA_EPSILON) {
+    const bestGPA = (gpaData.totalPoints + best.value * remainingUnits) / totalUnits;
+    return { 
+      message: `Not reachable within your ${remainingUnits} remaining units. Even straight ${best.name} would give ${bestGPA.toFixed(2)}.` 
+    };
+  }
+  if (requiredAverage <= worst.value + GPA_EPSILON) {
+    return { 
+      message: `Target secured: any passing grades in your ${remainingUnits} remaining units keep you at ${targetGPA.toFixed(2)} or above.` 
+    };
+  }
+
+  const meetsTarget = (points) => points >= requiredPoints - GPA_EPSILON;
+  const combinations = [];
+
+  gradeOptions.forEach(high => {
+    if (high.value < requiredAverage - GPA_EPSILON) return;
+
+    gradeOptions.filter(low => low.value < high.value).forEach(low => {
+      // The higher grade goes to the largest modules first, so `count` is the fewest modules that need it
+      let points = low.value * remainingUnits;
+      for (let count = 0; count <= credits.length; count++) {
+        if (meetsTarget(points)) {
+          const grades = [
+            { grade: high.name, count },
+            { grade: low.name, count: credits.length - count }
+          ].filter(entry => entry.count > 0);
+          combinations.push({
+            label: grades.map(entry => `${entry.count} ${entry.grade}`).join(', '),
+            spread: grades.length > 1 ? high.value - low.value : 0,
+            average: points / remainingUnits
+          });
+          break;
+        }
+        if (count < credits.length) {
+          points += (high.value - low.value) * credits[count];
+        }
+      }
+    });
+  });
+
+  const uniqueCombinations = combinations
+    .sort((a, b) => a.spread - b.spread || a.average - b.average)
+    .filter((combination, index, list) => list.findIndex(other => other.label === combination.label) === index)
+    .slice(0, 4);
+
+  return { requiredAverage, remainingUnits, moduleCount: credits.length, combinations: uniqueCombinations };
+};
+
+const useSUCalculations = (selectedModules, allSemesters, hasAPCs, scheme = DEFAULT_GRADING_SCHEME) => {
+  return useMemo(() => {
+    const firstTwoSemesters = allSemesters.filter(sem => !sem.includes('ST')).slice(0, 2);
+    const subsequentSemesters = allSemesters.filter(sem => !firstTwoSemesters.includes(sem));
+    
+    let firstTwoSUUsed = 0;
+    let subsequentSUUsed = 0;
+    
+    selectedModules.forEach(module => {
+      if (isCountedAsSU(module, scheme)) {
+        const moduleCredit = Number(module.moduleCredit) || 0;
+        if (firstTwoSemesters.includes(module.semester)) {
+          firstTwoSUUsed += moduleCredit;
+        } else if (subsequentSemesters.includes(module.semester)) {
+          subsequentSUUsed += moduleCredit;
+        }
+      }
+    });
+
+    const { suPolicy } = scheme;
+    const maxFirstTwo = !suPolicy ? 0 : hasAPCs ? suPolicy.apcCap : suPolicy.firstTwoSemesterCap;
+    const firstTwoRemaining = Math.max(0, maxFirstTwo - firstTwoSUUsed);
+    
+    const maxSubsequent = Math.min(firstTwoRemaining, suPolicy ? suPolicy.subsequentCap : 0);
+    const subsequentRemaining = Math.max(0, maxSubsequent - subsequentSUUsed);
+    
+    const firstTwoSlots = Math.floor(firstTwoRemaining / 4);
+    const subsequentSlots = Math.floor(subsequentRemaining / 4);
+
+    return {
+      firstTwoSUUsed,
+      subsequentSUUsed,
+      firstTwoSlots,
+      subsequentSlots,
+      maxFirstTwo,
+      maxSubsequent,
+      firstTwoRemaining,
+      subsequentRemaining
+    };
+  }, [selectedModules, allSemesters, hasAPCs, scheme]);
+};
+
+// Finds the set of S/U choices that gives the highest cumulative GPA. Every graded, S/U-able module is
+// a candidate regardless of its current S/U flag. The search is exhaustive: for each legal pair of
+// (first-two-semester units, subsequent units) it keeps the cheapest set of grade points to drop, then
+// picks the pair with the best resulting GPA, preferring to spend fewer units on ties.
+const optimiseSUChoices = (selectedModules, allSemesters, hasAPCs, scheme = DEFAULT_GRADING_SCHEME) => {
+  const firstTwoSemesters = allSemesters.filter(sem => !sem.includes('ST')).slice(0, 2);
+  const { suPolicy } = scheme;
+  const maxFirstTwo = !suPolicy ? 0 : hasAPCs ? suPolicy.apcCap : suPolicy.firstTwoSemesterCap;
+  const maxSubsequent = Math.min(maxFirstTwo, suPolicy ? suPolicy.subsequentCap : 0);
+
+  let totalPoints = 0;
+  let totalUnits = 0;
+  let currentPoints = 0;
+  let currentUnits = 0;
+  const candidates = [];
+
+  selectedModules.forEach(module => {
+    const moduleCredit = Number(module.moduleCredit) || 0;
+    const points = getGradePoints(module.letterGrade, scheme);
+    if (!module.letterGrade || points === null || moduleCredit <= 0 || !countsTowardsGPA(module)) return;
+
+    totalPoints += points * moduleCredit;
+    totalUnits += moduleCredit;
+    if (!isCountedAsSU(module, scheme)) {
+      currentPoints += points * moduleCredit;
+      currentUnits += moduleCredit;
+    }
+    if (suPolicy && isSUEligible(module) && allSemesters.includes(module.semester)) {
+      candidates.push({ module, moduleCredit, points: points * moduleCredit, isFirstTwo: firstTwoSemesters.includes(module.semester) });
+    }
+  });
+
+  let states = new Map([['0:0', { firstTwo: 0, subsequent: 0, points: 0, ids: [] }]]);
+  candidates.forEach(candidate => {
+    const next = new Map(states);
+    states.forEach(state => {
+      const firstTwo = state.firstTwo + (candidate.isFirstTwo ? candidate.moduleCredit : 0);
+      const subsequent = state.subsequent + (candidate.isFirstTwo ? 0 : candidate.moduleCredit);
+      if (firstTwo + subsequent > maxFirstTwo || subsequent > maxSubsequent) return;
+
+      const key = `${firstTwo}:${subsequent}`;
+      const points = state.points + candidate.points;
+      const existing = next.get(key);
+      if (!existing || points < existing.points) {
+        next.set(key, { firstTwo, subsequent, points, ids: [...state.ids, candidate.module.id] });
+      }
+    });
+    states = next;
+  });
+
+  const gpaFor = (state) => {
+    const units = totalUnits - state.firstTwo - state.subsequent;
+    return units > 0 ? (totalPoints - state.points) / units : 0;
+  };
+
+  let best = states.get('0:0');
+  states.forEach(state => {
+    const difference = gpaFor(state) - gpaFor(best);
+    const units = state.firstTwo + state.subsequent;
+    if (difference > GPA_EPSILON || (Math.abs(difference) <= GPA_EPSILON && units < best.firstTwo + best.subsequent)) {
+      best = state;
+    }
+  });
+
+  const chosenIds = new Set(best.ids);
+
+  return {
+    currentGPA: currentUnits > 0 ? Number((currentPoints / currentUnits).toFixed(2)) : 0,
+    optimisedGPA: Number(gpaFor(best).toFixed(2)),
+    suModules: candidates.filter(candidate => chosenIds.has(candidate.module.id)).map(candidate => candidate.module),
+    firstTwoUnits: best.firstTwo,
+    subsequentUnits: best.subsequent,
+    suModuleIds: best.ids,
+    candidateIds: candidates.map(candidate => candidate.module.id),
+    isAlreadyOptimal: candidates.every(candidate => Boolean(candidate.module.isSU) === chosenIds.has(candidate.module.id))
+  };
+};
+
+// fetch rejects with a TypeError when the request never reaches the server; HTTP errors are plain Errors
+const isNetworkError = (error) => error instanceof TypeError;
+
+const useModuleAPI = (cache = moduleCache) => {
+  const [moduleLists, setModuleLists] = useState({});
+  const [unavailableYears, setUnavailableYears] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [apiError, setApiError] = useState(null);
+  const [isOffline, setIsOffline] = useState(false);
+  const requestedYears = useRef(new Set());
+
+  // Years NUSMods has not published yet (e.g. a future AY in the plan) fall back to the default catalogue
+  const resolveAcadYear = useCallback((acadYear) => 
+    unavailableYears.includes(acadYear) ? DEFAULT_ACAD_YEAR : acadYear,
+    [unavailableYears]
+  );
+
+  // Stale-while-revalidate: show the cached list straight away, then replace it with the network copy
+  const fetchModules = useCallback(async (acadYear = DEFAULT_ACAD_YEAR) => {
+    if (requestedYears.current.has(acadYear)) return;
+    requestedYears.current.add(acadYear);
+
+    const cacheKey = `moduleList/${acadYear}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+      setModuleLists(prev => ({ ...prev, [acadYear]: cached.data }));
+    }
+
+    try {
+      const response = await fetch(`${NUSMODS_API_BASE}/${acadYear}/moduleList.json`);
+      if (response.status === 404) {
+        setUnavailableYears(prev => prev.includes(acadYear) ? prev : [...prev, acadYear]);
+        return;
+      }
+      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const data = await response.json();
+      setModuleLists(prev => ({ ...prev, [acadYear]: data }));
+      setApiError(null);
+      setIsOffline(false);
+      await cache.set(cacheKey, data);
+    } catch (error) {
+      requestedYears.current.delete(acadYear);
+      console.error('Error fetching modules:', error);
+      if (cached) {
+        setIsOffline(true);
+      } else {
+        setApiError('Failed to load module list. Please check your connection and retry.');
+      }
+    }
+  }, [cache]);
+
+  const fetchModuleDetails = useCallback(async (moduleCode, acadYear = DEFAULT_ACAD_YEAR) => {
+    const resolvedYear = resolveAcadYear(acadYear);
+    const cacheKey = `module/${resolvedYear}/${moduleCode}`;
+
+    const revalidate = async () => {
+      const response = await fetch(`${NUSMODS_API_BASE}/${resolvedYear}/modules/${moduleCode}.json`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const data = await response.json();
+      await cache.set(cacheKey, data);
+      return data;
+    };
+
+    setLoading(true);
+    try {
+      const cached = await cache.get(cacheKey);
+      if (cached) {
+        revalidate().catch(error => console.error('Error refreshing module details:', error));
+        return cached.data;
+      }
+      return await revalidate();
+    } catch (error) {
+      console.error('Error fetching module details:', error);
+      throw error;
+    } finally {
+      setLoading(false);
+    }
+  }, [cache, resolveAcadYear]);
+
+  return { moduleLists, loading, apiError, isOffline, resolveAcadYear, fetchModules, fetchModuleDetails };
+};
+
+// Components
+const ErrorBoundary = ({ children }) => {
+  const [hasError, setHasError] = useState(false);
+
+  useEffect(() => {
+    const handleError = () => setHasError(true);
+    window.addEventListener('error', handleError);
+    return () => window.removeEventListener('error', handleError);
+  }, []);
+
+  if (hasError) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="bg-white p-8 rounded-lg shadow-lg max-w-md">
+          <h2 className="text-xl font-bold text-red-600 mb-4">Something went wrong</h2>
+          <p className="text-gray-600 mb-4">The app encountered an error. Please refresh the page.</p>
+          <button 
+            onClick={() => window.location.reload()} 
+            className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600"
+          >
+            Refresh Page
+          </button>
+        </div>
+      </div>
+    );
+  }
+  return children;
+};
+
+// The grade a typed key selects: recent keys plus this one ("C" then "S" gives CS), the current
+// grade plus a "+" or "-" ("B" then "+" gives B+), or the key on its own
+const matchTypedGrade = (recentKeys, currentGrade, key, grades) => {
+  const modifiesCurrent = key === '+' || key === '-';
+  const candidates = [recentKeys + key, ...(modifiesCurrent ? [(currentGrade || '') + key] : []), key]
+    .map(text => text.toUpperCase());
+  return candidates.find(candidate => grades.includes(candidate)) || null;
+};
+
+const GradeSelector = ({ module, gradeGrid, onGradeSelect, onClose }) => {
+  const gradeRef = useRef(null);
+
+  useEffect(() => {
+    const current = Array.from(gradeRef.current.querySelectorAll('button'))
+      .find(button => button.textContent === module.letterGrade);
+    (current || gradeRef.current.querySelector('button')).focus();
+  }, [module.letterGrade]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (gradeRef.current && !gradeRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [onClose]);
+
+  return (
+    <div ref={gradeRef} className="bg-white border border-gray-300 rounded shadow-lg p-2 w-full">
+      {gradeGrid.map((row, rowIndex) => (
+        <div key={rowIndex} className="flex gap-1 mb-1 last:mb-0">
+          {row.map((grade, colIndex) => (
+            grade ? (
+              <button
+                key={grade}
+                type="button"
+                onClick={() => onGradeSelect(grade)}
+                className="px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-100 
+                         flex-1 text-center transition-colors font-medium bg-white focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-300"
+              >
+                {grade}
+              </button>
+            ) : (
+              <div key={colIndex} className="flex-1"></div>
+            )
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const ModuleCard = ({ 
+  module, 
+  onRemove, 
+  onEdit,
+  onLetterGradeUpdate, 
+  onToggleSU,
+  onDragStart,
+  onDragMove,
+  onDragEnd,
+  onKeyboardMove,
+  isBeingDragged,
+  shouldMoveDown,
+  shouldMoveUp,
+  isSpecialTerm,
+  hideGrades = false,
+  gradingScheme = DEFAULT_GRADING_SCHEME,
+  warnings = [],
+  pillarName = null,
+  attempt = null,
+  readOnly = false
+}) => {
+  const [dragOffset, setDragOffset] = useState(null);
+  const [showGradeSelector, setShowGradeSelector] = useState(false);
+  const cardRef = useRef(null);
+  const typedKeysRef = useRef({ keys: '', time: 0 });
+  // The press in progress: where it started, whether it may drag, and the pending S/U long-press
+  const pressRef = useRef(null);
+  const isDragging = dragOffset !== null;
+
+  useEffect(() => () => {
+    if (pressRef.current) clearTimeout(pressRef.current.longPressTimer);
+  }, []);
+
+  const handleGradeClick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setShowGradeSelector(!showGradeSelector);
+  };
+
+  const handleGradeSelect = (grade) => {
+    onLetterGradeUpdate(module.id, grade);
+    setShowGradeSelector(false);
+  };
+
+  const customType = module.isCustom ? CUSTOM_MODULE_TYPES[module.creditType] : null;
+  const gradeGrid = customType?.gradeGrid === undefined ? gradingScheme.gradeGrid : customType.gradeGrid;
+  // Cards in the unscheduled pool get no onToggleSU; their S/U choice waits until they're scheduled
+  const canToggleSU = Boolean(onToggleSU) && Boolean(module.letterGrade) && countsTowardsGPA(module) && 
+    !gradingScheme.nonSUGrades.includes(module.letterGrade);
+
+  const handleContextMenu = (e) => {
+    e.preventDefault();
+    // A touch long-press also opens the context menu; the long-press timer already handles it
+    if (pressRef.current && pressRef.current.pointerType === 'touch') return;
+    if (canToggleSU) {
+      onToggleSU(module.id);
+    }
+  };
+
+  // Mouse and pen drag from anywhere on the card. Touch drags only from the grip handle, so a
+  // touch on the rest of the card still scrolls the page, and holding it still toggles S/U.
+  const handlePointerDown = (e) => {
+    if (!e.isPrimary || e.button !== 0 || e.target.closest('button')) return;
+    const canDrag = e.pointerType !== 'touch' || Boolean(e.target.closest('[data-drag-handle]'));
+    const longPressTimer = e.pointerType === 'touch' && !canDrag && canToggleSU
+      ? setTimeout(() => onToggleSU(module.id), LONG_PRESS_DELAY)
+      : null;
+    pressRef.current = { 
+      pointerId: e.pointerId, pointerType: e.pointerType, x: e.clientX, y: e.clientY, canDrag, longPressTimer, isDragging: false 
+    };
+    if (canDrag) e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const press = pressRef.current;
+    if (!press || press.pointerId !== e.pointerId) return;
+    const offset = { x: e.clientX - press.x, y: e.clientY - press.y };
+
+    if (!press.isDragging) {
+      if (Math.hypot(offset.x, offset.y) < DRAG_START_DISTANCE) return;
+      clearTimeout(press.longPressTimer);
+      if (!press.canDrag) {
+        pressRef.current = null;
+        return;
+      }
+      press.isDragging = true;
+      onDragStart(module.id);
+    }
+    setDragOffset(offset);
+    onDragMove(e.clientX, e.clientY, cardRef.current);
+  };
+
+  const finishPress = (commit) => {
+    const press = pressRef.current;
+    if (!press) return;
+    clearTimeout(press.longPressTimer);
+    pressRef.current = null;
+    if (press.isDragging) {
+      setDragOffset(null);
+      onDragEnd(commit);
+    }
+  };
+
+  const cardBgClass = customType 
+    ? "bg-amber-50 border border-dashed border-amber-300" 
+    : isSpecialTerm ? "bg-blue-100" : "bg-green-100";
+  const textClasses = customType
+    ? { title: "text-amber-800", subtitle: "text-amber-700", meta: "text-amber-600" }
+    : isSpecialTerm 
+    ? { title: "text-blue-800", subtitle: "text-blue-700", meta: "text-blue-600" }
     : { title: "text-green-800", subtitle: "text-green-700", meta: "text-green-600" };
 
   const displayGrade = () => {
     if (hideGrades) return '***';
     if (!module.letterGrade) return 'Grade';
-    if (module.isSU) {
-      return module.letterGrade === 'F' ? 'U' : 'S';
+    if (isCountedAsSU(module, gradingScheme)) {
+      const { passGrade, failGrade } = gradingScheme.suPolicy;
+      return gradingScheme.failingGrades.includes(module.letterGrade) ? failGrade : passGrade;
     }
     return module.letterGrade;
   };
 
   const isPlaceholder = !module.letterGrade;
+  const canSU = !gradingScheme.suPolicy || !countsTowardsGPA(module) || isSUEligible(module);
+  const canEnterGrade = Boolean(onLetterGradeUpdate) && Boolean(gradeGrid) && !hideGrades;
+
+  const closeGradeSelector = () => {
+    setShowGradeSelector(false);
+    cardRef.current.focus();
+  };
+
+  // Keys typed on the card or inside its open GradeSelector; other buttons on the card keep their own keys
+  const handleKeyDown = (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const isCardFocused = e.target === e.currentTarget;
+    if (!isCardFocused && !showGradeSelector) return;
+
+    if (e.key === 'Escape' && showGradeSelector) {
+      e.preventDefault();
+      closeGradeSelector();
+    } else if (MODULE_MOVE_KEYS[e.key] && isCardFocused) {
+      e.preventDefault();
+      if (onKeyboardMove) onKeyboardMove(module.id, MODULE_MOVE_KEYS[e.key]);
+    } else if (e.key === 'Enter' && isCardFocused && canEnterGrade) {
+      e.preventDefault();
+      setShowGradeSelector(true);
+    } else if (e.key === 'Delete' && isCardFocused) {
+      e.preventDefault();
+      onRemove(module.id);
+    } else if (e.key === 'Backspace' && canEnterGrade && module.letterGrade) {
+      e.preventDefault();
+      onLetterGradeUpdate(module.id, '');
+    } else if (e.key === SU_TOGGLE_KEY) {
+      e.preventDefault();
+      if (canToggleSU) onToggleSU(module.id);
+    } else if (e.key.length === 1 && canEnterGrade) {
+      const now = Date.now();
+      const recentKeys = now - typedKeysRef.current.time < GRADE_TYPING_TIMEOUT ? typedKeysRef.current.keys : '';
+      typedKeysRef.current = { keys: recentKeys + e.key, time: now };
+      const grade = matchTypedGrade(recentKeys, module.letterGrade, e.key, gradeGrid.flat().filter(Boolean));
+      if (grade) {
+        e.preventDefault();
+        onLetterGradeUpdate(module.id, grade);
+        if (showGradeSelector) closeGradeSelector();
+      }
+    }
+  };
+
+  const ariaLabel = [
+    `${module.moduleCode} ${module.title}`,
+    `${module.moduleCredit} units`,
+    !hideGrades && (module.letterGrade 
+      ? `grade ${module.letterGrade}${isCountedAsSU(module, gradingScheme) ? ', S/U-ed' : ''}` 
+      : 'no grade')
+  ].filter(Boolean).join(', ');
 
   return (
     <div 
-      draggable
-      onDragStart={handleDragStart}
-      onDragEnd={handleDragEnd}
-      onContextMenu={handleContextMenu}
-      onTouchStart={handleTouchStart}
-      onTouchEnd={handleTouchEnd}
+      ref={cardRef}
+      tabIndex={readOnly ? undefined : 0}
+      aria-label={ariaLabel}
+      aria-describedby={readOnly ? undefined : 'module-card-help'}
+      onKeyDown={readOnly ? undefined : handleKeyDown}
+      onPointerDown={readOnly ? undefined : handlePointerDown}
+      onPointerMove={readOnly ? undefined : handlePointerMove}
+      onPointerUp={readOnly ? undefined : () => finishPress(true)}
+      onPointerCancel={readOnly ? undefined : () => finishPress(false)}
+      onContextMenu={readOnly ? undefined : handleContextMenu}
       data-module-id={module.id}
-      className={`${cardBgClass} rounded-lg p-3 relative group cursor-move transition-all duration-200 ease-in-out
-                 ${isDragging ? 'invisible' : 'hover:scale-[1.02]'}
+      style={isDragging ? { transform: `translate(${dragOffset.x}px, ${dragOffset.y}px)` } : undefined}
+      className={`${cardBgClass} rounded-lg p-3 relative group ${readOnly ? '' : 'cursor-move select-none'}
+                 focus:outline-none focus-visible:ring-2 focus-visible:ring-orange-400
+                 ${isDragging ? 'z-40 shadow-xl opacity-90' : 'transition-all duration-200 ease-in-out hover:scale-[1.02]'}
+                 ${attempt?.isSuperseded ? 'opacity-70' : ''}
                  ${shouldMoveDown ? 'transform translate-y-16' : ''}
                  ${shouldMoveUp ? 'transform -translate-y-16' : ''}`}
     >
-      <button
-        onClick={() => onRemove(module.id)}
-        className="absolute top-1 right-1 text-red-500 opacity-0 group-hover:opacity-100 transition-opacity z-[5]"
-      >
-        <X className="w-3 h-3" />
-      </button>
+      {!readOnly && (
+        <>
+          <button
+            onClick={() => onRemove(module.id)}
+            className="absolute top-1 right-1 text-red-500 opacity-0 group-hover:opacity-100 transition-opacity z-[5]"
+          >
+            <X className="w-3 h-3" />
+          </button>
+          {onEdit && (
+            <button
+              onClick={() => onEdit(module.id)}
+              className="absolute top-1 right-5 text-gray-500 opacity-0 group-hover:opacity-100 transition-opacity z-[5]"
+              title="Edit title and units"
+            >
+              <Pencil className="w-3 h-3" />
+            </button>
+          )}
+          <span
+            data-drag-handle
+            className="absolute bottom-1 right-1 p-1 text-gray-400 touch-none cursor-grab"
+            aria-hidden="true"
+          >
+            <GripVertical className="w-3 h-3" />
+          </span>
+        </>
+      )}
       
       <div className="flex justify-between items-start">
         <div className="flex-1 min-w-0 pr-3">
           <div className={`font-semibold text-sm ${textClasses.title}`}>{module.moduleCode}</div>
           <div className={`text-xs ${textClasses.subtitle} mb-1 line-clamp-2`}>{module.title}</div>
-          <div className={`text-xs ${textClasses.meta}`}>{module.moduleCredit} Units</div>
+          <div className={`text-xs ${textClasses.meta}`}>
+            {module.moduleCredit} Units{pillarName && ` • ${pillarName}`}
+          </div>
+          {attempt && attempt.total > 1 && (
+            <span
+              title={attempt.isSuperseded 
+                ? `Retaken in ${attempt.latest.semester}. This grade still counts towards GPA, but its units don't count again.` 
+                : `Attempt ${attempt.number} of ${attempt.total}`}
+              className={`inline-block mt-1 mr-1 px-1.5 py-0.5 rounded text-[10px] font-medium cursor-help ${
+                attempt.isSuperseded ? 'bg-gray-200 text-gray-600 line-through' : 'bg-sky-100 text-sky-700'
+              }`}
+            >
+              {attempt.isSuperseded ? 'Superseded' : `Retake (attempt ${attempt.number})`}
+            </span>
+          )}
+          {module.overrides && (
+            <span
+              title={`Edited – NUSMods lists ${OVERRIDABLE_FIELDS
+                .filter(field => field in module.overrides)
+                .map(field => field === 'moduleCredit' ? `${module.original.moduleCredit} units` : `"${module.original.title}"`)
+                .join(' and ')}`}
+              className="inline-flex items-center gap-1 mt-1 mr-1 px-1.5 py-0.5 rounded bg-indigo-100 text-indigo-700 text-[10px] font-medium cursor-help"
+            >
+              <Pencil className="w-3 h-3" />
+              Edited
+            </span>
+          )}
+          {customType && (
+            <span
+              title={customType.label}
+              className="inline-block mt-1 mr-1 px-1.5 py-0.5 rounded bg-amber-200 text-amber-800 text-[10px] font-medium"
+            >
+              {customType.shortLabel}{module.mappedCode && ` → ${module.mappedCode}`}
+            </span>
+          )}
+          {!canSU && (
+            <span
+              title="NUS does not allow this module to be S/U-ed"
+              className="inline-block mt-1 px-1.5 py-0.5 rounded bg-gray-200 text-gray-600 text-[10px] font-medium cursor-help"
+            >
+              S/U not allowed
+            </span>
+          )}
+          {warnings.length > 0 && (
+            <div className="flex flex-wrap gap-1 mt-1">
+              {warnings.map((warning, index) => (
+                <span
+                  key={index}
+                  title={warning.detail}
+                  className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded bg-amber-100 text-amber-800 text-[10px] font-medium cursor-help"
+                >
+                  <AlertTriangle className="w-3 h-3" />
+                  {warning.label}
+                </span>
+              ))}
+            </div>
+          )}
         </div>
         
-        {!hideGrades && (
+        {!hideGrades && gradeGrid && (
           <div className="w-32 relative -ml-8 sm:-ml-4">
             {!showGradeSelector && (
               <button
                 onClick={handleGradeClick}
+                disabled={readOnly}
                 className={`w-full px-3 py-2 border border-gray-300 rounded text-base font-bold
-                           bg-white hover:bg-gray-50 transition-colors cursor-pointer
-                           ${module.isSU ? 'bg-blue-100 border-blue-300' : ''}
+                           bg-white transition-colors ${readOnly ? 'cursor-default' : 'hover:bg-gray-50 cursor-pointer'}
+                           ${isCountedAsSU(module, gradingScheme) ? 'bg-blue-100 border-blue-300' : ''}
                            ${showGradeSelector ? 'ring-2 ring-blue-300' : ''}
                            ${isPlaceholder ? 'text-gray-400' : 'text-gray-900'}`}
               >
@@ -437,7 +1978,11 @@ const ModuleCard = ({
             {showGradeSelector && (
               <GradeSelector
                 module={module}
-                onGradeSelect={handleGradeSelect}
+                gradeGrid={gradeGrid}
+                onGradeSelect={(grade) => {
+                  handleGradeSelect(grade);
+                  cardRef.current.focus();
+                }}
                 onClose={() => setShowGradeSelector(false)}
               />
             )}
@@ -470,7 +2015,8 @@ const ModuleSearch = ({
       {searchResults.length > 0 && (
         <div className="absolute z-30 w-full bg-white border border-gray-300 rounded mt-1 max-h-48 overflow-y-auto">
           {searchResults.map((module) => {
-            const isAlreadyTaken = selectedModules.some(m => m.moduleCode === module.moduleCode);
+            const attemptStatus = getAttemptStatus(selectedModules, module.moduleCode, semester);
+            const isAlreadyTaken = attemptStatus === 'taken';
             return (
               <button
                 key={module.moduleCode}
@@ -483,7 +2029,7 @@ const ModuleSearch = ({
                 disabled={loading || isAlreadyTaken}
               >
                 <div className={`font-semibold text-sm ${isAlreadyTaken ? 'text-gray-400' : 'text-gray-900'}`}>
-                  {module.moduleCode} {isAlreadyTaken && '(Already taken)'}
+                  {module.moduleCode} {isAlreadyTaken ? '(Already taken)' : attemptStatus === 'retake' && '(Retake)'}
                 </div>
                 <div className={`text-xs truncate ${isAlreadyTaken ? 'text-gray-400' : 'text-gray-600'}`}>
                   {module.title}
@@ -497,14 +2043,100 @@ const ModuleSearch = ({
   </div>
 );
 
+const CustomModuleForm = ({ semester, defaults = {}, onAdd, onCancel }) => {
+  const [draft, setDraft] = useState({ 
+    moduleCode: '', title: '', moduleCredit: '4', creditType: 'transfer', mappedCode: '', ...defaults 
+  });
+  const [error, setError] = useState('');
+
+  const updateDraft = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const result = onAdd(semester, draft);
+    if (result?.error) {
+      setError(result.error);
+    }
+  };
+
+  const inputClass = "w-full p-2 border border-gray-300 rounded text-sm bg-white text-gray-900";
+
+  return (
+    <form onSubmit={handleSubmit} aria-label="Custom module" className="p-3 border-2 border-dashed border-amber-300 rounded-lg bg-amber-50 space-y-2">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={draft.moduleCode}
+          onChange={(e) => updateDraft('moduleCode', e.target.value)}
+          placeholder="Code"
+          className={inputClass}
+          autoFocus
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.5"
+          value={draft.moduleCredit}
+          onChange={(e) => updateDraft('moduleCredit', e.target.value)}
+          placeholder="Units"
+          className={`${inputClass} w-20`}
+        />
+      </div>
+      <input
+        type="text"
+        value={draft.title}
+        onChange={(e) => updateDraft('title', e.target.value)}
+        placeholder="Title"
+        className={inputClass}
+      />
+      <div className="flex gap-2">
+        <select
+          value={draft.creditType}
+          onChange={(e) => updateDraft('creditType', e.target.value)}
+          className={inputClass}
+        >
+          {Object.entries(CUSTOM_MODULE_TYPES).map(([type, { label }]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={draft.mappedCode}
+          onChange={(e) => updateDraft('mappedCode', e.target.value)}
+          placeholder="NUS code (optional)"
+          className={inputClass}
+        />
+      </div>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-100 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="px-3 py-1 text-sm bg-amber-500 text-white rounded hover:bg-amber-600 transition-colors"
+        >
+          Add
+        </button>
+      </div>
+    </form>
+  );
+};
+
 const SemesterCard = ({ 
   semester, 
   modules, 
   onRemoveSemester,
   onRemoveModule,
+  onEditModule,
   onLetterGradeUpdate,
   onToggleSU,
-  onMoveModule,
+  onKeyboardMove,
+  drag = null,
   showModuleSearch,
   setShowModuleSearch,
   searchTerm,
@@ -512,89 +2144,66 @@ const SemesterCard = ({
   loading,
   onSearch,
   onAddModule,
+  onAddCustomModule,
   calculateSemesterGPA,
   calculateSemesterSU,
   selectedModules,
+  getModuleWarnings,
+  getModulePillar = () => null,
+  getModuleAttempt = () => null,
   isSpecialTerm = false,
-  hideGrades = false
+  hideGrades = false,
+  gradingScheme = DEFAULT_GRADING_SCHEME,
+  workloadThreshold = DEFAULT_WORKLOAD_THRESHOLD,
+  unitLimits = DEFAULT_UNIT_LIMITS,
+  readOnly = false
 }) => {
-  const [isDragOver, setIsDragOver] = useState(false);
-  const [draggedModuleId, setDraggedModuleId] = useState(null);
-  const [dragInsertIndex, setDragInsertIndex] = useState(-1);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  // null while hidden, otherwise the values the custom module form opens with
+  const [customFormDefaults, setCustomFormDefaults] = useState(null);
   
   const semesterMCs = useMemo(() => 
     modules.reduce((sum, module) => sum + (Number(module.moduleCredit) || 0), 0),
     [modules]
   );
 
-  const handleDragOver = (e) => {
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
-    setIsDragOver(true);
-    
-    const dropY = e.clientY;
-    const moduleElements = Array.from(e.currentTarget.querySelectorAll('[data-module-id]'));
-    let insertIndex = modules.length;
-    
-    for (let i = 0; i < moduleElements.length; i++) {
-      const rect = moduleElements[i].getBoundingClientRect();
-      const elementCenter = rect.top + rect.height / 2;
-      
-      if (dropY < elementCenter) {
-        insertIndex = i;
-        break;
-      }
-    }
-    
-    setDragInsertIndex(insertIndex);
-  };
+  const loadWarning = useMemo(() => 
+    checkSemesterLoad(semester, getSemesterLoad(modules), unitLimits), 
+    [semester, modules, unitLimits]
+  );
 
-  const handleDragLeave = (e) => {
-    if (!e.currentTarget.contains(e.relatedTarget)) {
-      setIsDragOver(false);
-      setDragInsertIndex(-1);
-    }
-  };
+  const examClashes = useMemo(() => findExamClashes(modules), [modules]);
 
-  const handleDrop = (e) => {
-    e.preventDefault();
-    setIsDragOver(false);
-    setDraggedModuleId(null);
-    setDragInsertIndex(-1);
-    
-    try {
-      const moduleData = JSON.parse(e.dataTransfer.getData('application/json'));
-      const dropY = e.clientY;
-      
-      const moduleElements = Array.from(e.currentTarget.querySelectorAll('[data-module-id]'));
-      let insertIndex = modules.length;
-      
-      for (let i = 0; i < moduleElements.length; i++) {
-        const rect = moduleElements[i].getBoundingClientRect();
-        const elementCenter = rect.top + rect.height / 2;
-        
-        if (dropY < elementCenter) {
-          insertIndex = i;
-          break;
-        }
-      }
-      
-      onMoveModule(moduleData.id, semester, insertIndex);
-    } catch (error) {
-      console.error('Error handling drop:', error);
-    }
-  };
+  const workload = useMemo(() => summariseWorkload(modules), [modules]);
+  const isHeavy = workload.totalHours > workloadThreshold;
+
+  const nonGPAMCs = useMemo(() => 
+    sumModuleUnits(modules.filter(module => !countsTowardsGPA(module))),
+    [modules]
+  );
 
-  const handleModuleDragStart = (moduleId) => {
-    setDraggedModuleId(moduleId);
+  const manualCode = (searchTerm || '').trim().toUpperCase();
+  const canAddManually = !readOnly && showModuleSearch === semester && !loading && manualCode.length >= 2 && 
+    !searchResults.some(module => module.moduleCode === manualCode);
+
+  const handleAddManually = () => {
+    setShowModuleSearch(null);
+    setCustomFormDefaults({ moduleCode: manualCode, title: '', creditType: 'graded' });
   };
 
-  const handleModuleDragEnd = () => {
-    setDraggedModuleId(null);
-    setDragInsertIndex(-1);
+  const handleAddCustomModule = (targetSemester, draft) => {
+    const result = onAddCustomModule(targetSemester, draft);
+    if (!result?.error) {
+      setCustomFormDefaults(null);
+    }
+    return result;
   };
 
+  const dragState = drag && drag.dragState;
+  const isDragOver = Boolean(dragState) && dragState.semester === semester;
+  const draggedModuleId = dragState ? dragState.moduleId : null;
+  const dragInsertIndex = isDragOver ? dragState.insertIndex : -1;
+
   const handleDeleteClick = () => {
     setShowDeleteConfirm(true);
   };
@@ -623,9 +2232,7 @@ const SemesterCard = ({
   return (
     <div 
       className={cardClass}
-      onDragOver={handleDragOver}
-      onDragLeave={handleDragLeave}
-      onDrop={handleDrop}
+      data-drop-zone={readOnly ? undefined : semester}
     >
       {showDeleteConfirm ? (
         <div className="flex flex-col items-center justify-center min-h-[200px] text-center">
@@ -654,16 +2261,28 @@ const SemesterCard = ({
           <div className="mb-4">
             <div className="flex justify-between items-start mb-2">
               <h3 className={`font-bold text-lg ${titleClass}`}>{semester}</h3>
-              <button
-                onClick={handleDeleteClick}
-                className="text-red-500 hover:bg-red-100 p-1 rounded"
-              >
-                <X className="w-4 h-4" />
-              </button>
+              {!readOnly && (
+                <button
+                  onClick={handleDeleteClick}
+                  className="text-red-500 hover:bg-red-100 p-1 rounded"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
             </div>
             <div className="flex justify-between items-start">
               <p className={`text-sm ${isSpecialTerm ? 'text-blue-600' : 'text-gray-600'}`}>
                 {modules.length} Courses • {semesterMCs} Units
+                {nonGPAMCs > 0 && <span className="text-amber-600"> ({nonGPAMCs} transfer/exchange)</span>}
+                {loadWarning && (
+                  <span
+                    title={loadWarning.detail}
+                    className="inline-flex items-center gap-1 ml-2 px-1.5 py-0.5 rounded bg-amber-100 text-amber-800 text-[10px] font-medium cursor-help align-middle"
+                  >
+                    <AlertTriangle className="w-3 h-3" />
+                    {loadWarning.label}
+                  </span>
+                )}
               </p>
               {!hideGrades && (
                 <p className="text-sm font-semibold text-orange-600">
@@ -671,6 +2290,29 @@ const SemesterCard = ({
                 </p>
               )}
             </div>
+            {examClashes.length > 0 && (
+              <div className="mt-2 p-2 rounded bg-red-50 border border-red-200 text-xs text-red-700 space-y-0.5">
+                {examClashes.map(clash => (
+                  <div key={`${clash.first.module.id}-${clash.second.module.id}`} className="flex items-start gap-1">
+                    <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                    <span>Exam clash: {describeExamClash(clash)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+            {workload.totalHours > 0 && (
+              <p 
+                className={`text-xs mt-1 flex items-center gap-1 ${isHeavy ? 'text-amber-700 font-medium' : 'text-gray-500'}`}
+                title={workload.modulesWithoutData > 0 
+                  ? `${workload.modulesWithoutData} module${workload.modulesWithoutData === 1 ? ' has' : 's have'} no NUSMods workload data` 
+                  : undefined}
+              >
+                {isHeavy && <AlertTriangle className="w-3 h-3" />}
+                {workload.contactHours}h contact • {workload.selfStudyHours}h self-study / week
+                {isHeavy && ` (over ${workloadThreshold}h)`}
+                {workload.modulesWithoutData > 0 && '*'}
+              </p>
+            )}
             {!hideGrades && (
               <div className="flex justify-end">
                 <p className={`text-xs h-4 ${calculateSemesterSU(semester) > 0 ? 'text-purple-600' : 'text-transparent select-none'}`}>
@@ -688,32 +2330,42 @@ const SemesterCard = ({
             )}
             
             {modules.map((module, index) => {
+              // dragInsertIndex counts the other cards only, so a card below the dragged one
+              // moves up when the drop lands at or after it
               const draggedIndex = modules.findIndex(m => m.id === draggedModuleId);
-              const shouldMoveDown = draggedModuleId && draggedModuleId !== module.id && 
+              const shouldMoveDown = draggedIndex !== -1 && draggedModuleId !== module.id && 
                                     dragInsertIndex !== -1 && draggedIndex > index && index >= dragInsertIndex;
-              const shouldMoveUp = draggedModuleId && draggedModuleId !== module.id && 
-                                  dragInsertIndex !== -1 && draggedIndex < index && index < dragInsertIndex;
+              const shouldMoveUp = draggedIndex !== -1 && draggedModuleId !== module.id && 
+                                  dragInsertIndex !== -1 && draggedIndex < index && index <= dragInsertIndex;
               
               return (
                 <ModuleCard
                   key={module.id}
                   module={module}
                   onRemove={onRemoveModule}
+                  onEdit={onEditModule}
                   onLetterGradeUpdate={onLetterGradeUpdate}
                   onToggleSU={onToggleSU}
-                  onDragStart={handleModuleDragStart}
-                  onDragEnd={handleModuleDragEnd}
+                  onDragStart={drag && drag.start}
+                  onDragMove={drag && drag.move}
+                  onDragEnd={drag && drag.end}
+                  onKeyboardMove={onKeyboardMove}
                   isBeingDragged={draggedModuleId === module.id}
                   shouldMoveDown={shouldMoveDown}
                   shouldMoveUp={shouldMoveUp}
                   isSpecialTerm={isSpecialTerm}
                   hideGrades={hideGrades}
+                  gradingScheme={gradingScheme}
+                  warnings={getModuleWarnings(module)}
+                  pillarName={getModulePillar(module)}
+                  attempt={getModuleAttempt(module)}
+                  readOnly={readOnly}
                 />
               );
             })}
           </div>
 
-          {showModuleSearch === semester ? (
+          {readOnly ? null : showModuleSearch === semester ? (
             <div className="w-full border-2 border-dashed rounded-lg bg-gray-50 relative">
               <input
                 type="text"
@@ -731,10 +2383,11 @@ const SemesterCard = ({
                 <X className="w-4 h-4" />
               </button>
               
-              {searchResults.length > 0 && (
+              {(searchResults.length > 0 || canAddManually) && (
                 <div className="absolute z-30 w-full left-0 top-full bg-white border border-gray-300 rounded mt-1 max-h-48 overflow-y-auto">
                   {searchResults.map((module) => {
-                    const isAlreadyTaken = selectedModules.some(m => m.moduleCode === module.moduleCode);
+                    const attemptStatus = getAttemptStatus(selectedModules, module.moduleCode, semester);
+                    const isAlreadyTaken = attemptStatus === 'taken';
                     return (
                       <button
                         key={module.moduleCode}
@@ -747,7 +2400,7 @@ const SemesterCard = ({
                         disabled={loading || isAlreadyTaken}
                       >
                         <div className={`font-semibold text-sm ${isAlreadyTaken ? 'text-gray-400' : 'text-gray-900'}`}>
-                          {module.moduleCode} {isAlreadyTaken && '(Already taken)'}
+                          {module.moduleCode} {isAlreadyTaken ? '(Already taken)' : attemptStatus === 'retake' && '(Retake)'}
                         </div>
                         <div className={`text-xs truncate ${isAlreadyTaken ? 'text-gray-400' : 'text-gray-600'}`}>
                           {module.title}
@@ -755,9 +2408,25 @@ const SemesterCard = ({
                       </button>
                     );
                   })}
+                  {canAddManually && (
+                    <button
+                      onClick={handleAddManually}
+                      className="w-full text-left p-2 hover:bg-amber-50 cursor-pointer transition-colors"
+                    >
+                      <div className="font-semibold text-sm text-amber-700">Add "{manualCode}" manually</div>
+                      <div className="text-xs text-gray-600">Not on NUSMods? Enter its title and units yourself</div>
+                    </button>
+                  )}
                 </div>
               )}
             </div>
+          ) : customFormDefaults ? (
+            <CustomModuleForm
+              semester={semester}
+              defaults={customFormDefaults}
+              onAdd={handleAddCustomModule}
+              onCancel={() => setCustomFormDefaults(null)}
+            />
           ) : (
             <button
               onClick={() => setShowModuleSearch(semester)}
@@ -771,13 +2440,262 @@ const SemesterCard = ({
               Add Courses
             </button>
           )}
+          {!readOnly && !customFormDefaults && showModuleSearch !== semester && (
+            <button
+              onClick={() => setCustomFormDefaults({})}
+              className="w-full mt-1 text-xs text-gray-400 hover:text-amber-600 transition-colors"
+            >
+              + Transfer, exchange or other custom module
+            </button>
+          )}
         </>
       )}
     </div>
   );
 };
 
+// Modules the student wants to take but hasn't placed yet. Cards drag into any SemesterCard, and
+// scheduled modules can be dragged back here.
+const ModulePoolPanel = ({
+  modules,
+  onKeyboardMove,
+  drag,
+  onRemoveModule,
+  onEditModule,
+  showModuleSearch,
+  setShowModuleSearch,
+  searchTerm,
+  searchResults,
+  loading,
+  onSearch,
+  onAddModule,
+  selectedModules,
+  gradingScheme
+}) => {
+  const isDragOver = Boolean(drag.dragState) && drag.dragState.semester === UNASSIGNED_SEMESTER;
+  const isSearching = showModuleSearch === UNASSIGNED_SEMESTER;
+  const poolUnits = sumModuleUnits(modules);
+
+  return (
+    <div
+      className={`mt-6 bg-white rounded-lg shadow-sm border border-dashed p-4 transition-colors ${
+        isDragOver ? 'border-orange-400 bg-orange-50' : 'border-gray-300'
+      }`}
+      data-drop-zone={UNASSIGNED_SEMESTER}
+    >
+      <div className="flex justify-between items-start mb-3">
+        <div>
+          <h3 className="font-semibold text-gray-800">Planned, not yet scheduled</h3>
+          <p className="text-xs text-gray-500">
+            {modules.length} Courses • {poolUnits} Units. Drag a course into a semester to schedule it; 
+            these don't count towards GPA or semester loads.
+          </p>
+        </div>
+        <button
+          onClick={() => setShowModuleSearch(isSearching ? null : UNASSIGNED_SEMESTER)}
+          className="flex items-center gap-1 px-2 py-1 text-xs border border-gray-300 rounded text-gray-600 hover:bg-gray-50 transition-colors"
+        >
+          {isSearching ? <X className="w-3 h-3" /> : <Plus className="w-3 h-3" />}
+          {isSearching ? 'Done' : 'Add'}
+        </button>
+      </div>
+
+      {isSearching && (
+        <ModuleSearch
+          semester={UNASSIGNED_SEMESTER}
+          searchTerm={searchTerm}
+          searchResults={searchResults}
+          loading={loading}
+          onSearch={onSearch}
+          onAddModule={onAddModule}
+          selectedModules={selectedModules}
+        />
+      )}
+
+      {modules.length > 0 ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-3 mt-3">
+          {modules.map(module => (
+            <ModuleCard
+              key={module.id}
+              module={module}
+              onRemove={onRemoveModule}
+              onEdit={onEditModule}
+              onDragStart={drag.start}
+              onDragMove={drag.move}
+              onDragEnd={drag.end}
+              onKeyboardMove={onKeyboardMove}
+              hideGrades
+              gradingScheme={gradingScheme}
+            />
+          ))}
+        </div>
+      ) : !isSearching && (
+        <p className="text-sm text-gray-400 text-center py-2">
+          {isDragOver ? 'Drop module here' : 'Drag a course here to unschedule it, or add one you might take.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const PlanSwitcher = ({ plans, activePlanId, onSwitchPlan, onCreatePlan, onDuplicatePlan, onRenamePlan, onDeletePlan, onComparePlans }) => {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draftName, setDraftName] = useState('');
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+
+  const activePlan = plans.find(plan => plan.id === activePlanId) || plans[0];
+
+  const handleRenameStart = () => {
+    setDraftName(activePlan.name);
+    setIsRenaming(true);
+  };
+
+  const handleRenameSubmit = (e) => {
+    e.preventDefault();
+    if (draftName.trim()) onRenamePlan(activePlan.id, draftName.trim());
+    setIsRenaming(false);
+  };
+
+  const iconButtonClass = "p-1 text-gray-500 hover:bg-gray-100 rounded transition-colors disabled:opacity-30 disabled:hover:bg-transparent";
+
+  if (showDeleteConfirm) {
+    return (
+      <div className="mb-6 p-2 bg-red-50 border border-red-200 rounded text-xs text-red-800">
+        <p className="mb-2">Delete "{activePlan.name}"?</p>
+        <div className="flex gap-1">
+          <button
+            onClick={() => setShowDeleteConfirm(false)}
+            className="flex-1 px-2 py-1 border border-gray-300 rounded bg-white hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => {
+              onDeletePlan(activePlan.id);
+              setShowDeleteConfirm(false);
+            }}
+            className="flex-1 px-2 py-1 bg-red-500 text-white rounded hover:bg-red-600 transition-colors"
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-6">
+      {isRenaming ? (
+        <form onSubmit={handleRenameSubmit}>
+          <input
+            type="text"
+            value={draftName}
+            onChange={(e) => setDraftName(e.target.value)}
+            onBlur={handleRenameSubmit}
+            aria-label="Plan name"
+            className="w-full p-2 border border-orange-300 rounded text-sm bg-white text-gray-900"
+            autoFocus
+          />
+        </form>
+      ) : (
+        <select
+          value={activePlan.id}
+          onChange={(e) => onSwitchPlan(e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded text-sm bg-white text-gray-900"
+        >
+          {plans.map(plan => (
+            <option key={plan.id} value={plan.id}>{plan.name}</option>
+          ))}
+        </select>
+      )}
+      <div className="flex justify-between mt-1">
+        <button onClick={onCreatePlan} className={iconButtonClass} title="New plan">
+          <Plus className="w-4 h-4" />
+        </button>
+        <button onClick={() => onDuplicatePlan(activePlan.id)} className={iconButtonClass} title="Duplicate plan">
+          <Copy className="w-4 h-4" />
+        </button>
+        <button onClick={handleRenameStart} className={iconButtonClass} title="Rename plan">
+          <Pencil className="w-4 h-4" />
+        </button>
+        <button 
+          onClick={onComparePlans} 
+          disabled={plans.length < 2}
+          className={iconButtonClass} 
+          title="Compare plans"
+        >
+          <Columns className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => setShowDeleteConfirm(true)}
+          disabled={plans.length < 2}
+          className={`${iconButtonClass} text-red-500`}
+          title="Delete plan"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const AcademicYearItem = ({ year, isSelected, moduleCount, onSelect, onRemove }) => {
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+
+  if (showDeleteConfirm) {
+    return (
+      <div className="p-2 bg-red-50 border border-red-200 rounded text-xs text-red-800">
+        <p className="mb-2">
+          Remove {year}{moduleCount > 0 ? ` and its ${moduleCount} module${moduleCount === 1 ? '' : 's'}` : ''}?
+        </p>
+        <div className="flex gap-1">
+          <button
+            onClick={() => setShowDeleteConfirm(false)}
+            className="flex-1 px-2 py-1 border border-gray-300 rounded bg-white hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => {
+              onRemove(year);
+              setShowDeleteConfirm(false);
+            }}
+            className="flex-1 px-2 py-1 bg-red-500 text-white rounded hover:bg-red-600 transition-colors"
+          >
+            Remove
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center group">
+      <button
+        onClick={() => onSelect(year)}
+        className={`flex-1 text-left p-2 rounded text-sm transition-colors ${
+          isSelected 
+            ? 'bg-orange-100 text-orange-700 font-medium' 
+            : 'text-gray-600 hover:bg-gray-100'
+        }`}
+      >
+        {year}
+      </button>
+      <button
+        onClick={() => setShowDeleteConfirm(true)}
+        className="p-1 text-red-500 opacity-0 group-hover:opacity-100 hover:bg-red-100 rounded transition-opacity ml-1"
+        title={`Remove ${year}`}
+      >
+        <X className="w-3 h-3" />
+      </button>
+    </div>
+  );
+};
+
 const Sidebar = ({ 
+  plans,
+  activePlanId,
+  planActions,
   academicSettings, 
   onUpdateMatricYear, 
   visibleYears,
@@ -786,9 +2704,14 @@ const Sidebar = ({
   onRemoveYear,
   onAddYear,
   semestersByYear,
+  modulesBySemester,
   currentYearSemesters,
   activeSemesters,
-  onAddSemester
+  onAddSemester,
+  onExportPlan,
+  onImportPlan,
+  onSharePlan,
+  history
 }) => (
   <div className="w-full lg:w-44 bg-white shadow-lg p-4 border-b lg:border-r lg:border-b-0 border-gray-200">
     <div className="mb-6">
@@ -799,6 +2722,27 @@ const Sidebar = ({
       <p className="text-xs text-gray-500 font-medium">Your Academic Journey</p>
     </div>
 
+    <h3 className="font-semibold text-gray-800 mb-3">Plan</h3>
+    <PlanSwitcher plans={plans} activePlanId={activePlanId} {...planActions} />
+    <div className="flex gap-1 -mt-4 mb-6">
+      <button
+        onClick={history.undo}
+        disabled={!history.canUndo}
+        className="flex-1 flex items-center justify-center gap-1 p-1 text-xs text-gray-600 hover:bg-gray-100 rounded transition-colors disabled:opacity-30 disabled:hover:bg-transparent"
+        title="Undo (Ctrl+Z)"
+      >
+        <Undo2 className="w-3 h-3" /> Undo
+      </button>
+      <button
+        onClick={history.redo}
+        disabled={!history.canRedo}
+        className="flex-1 flex items-center justify-center gap-1 p-1 text-xs text-gray-600 hover:bg-gray-100 rounded transition-colors disabled:opacity-30 disabled:hover:bg-transparent"
+        title="Redo (Ctrl+Shift+Z)"
+      >
+        <Redo2 className="w-3 h-3" /> Redo
+      </button>
+    </div>
+
     <h3 className="font-semibold text-gray-800 mb-3">Matriculation Year</h3>
     <div className="mb-6">
       <select
@@ -815,24 +2759,14 @@ const Sidebar = ({
     <h3 className="font-semibold text-gray-800 mb-3">Academic Years</h3>
     <div className="space-y-1 mb-4">
       {visibleYears.map(year => (
-        <div key={year} className="flex items-center group">
-          <button
-            onClick={() => onSelectYear(year)}
-            className={`flex-1 text-left p-2 rounded text-sm transition-colors ${
-              selectedYear === year 
-                ? 'bg-orange-100 text-orange-700 font-medium' 
-                : 'text-gray-600 hover:bg-gray-100'
-            }`}
-          >
-            {year}
-          </button>
-          <button
-            onClick={() => onRemoveYear(year)}
-            className="p-1 text-red-500 opacity-0 group-hover:opacity-100 hover:bg-red-100 rounded transition-opacity ml-1"
-          >
-            <X className="w-3 h-3" />
-          </button>
-        </div>
+        <AcademicYearItem
+          key={year}
+          year={year}
+          isSelected={selectedYear === year}
+          moduleCount={(semestersByYear[year] || []).reduce((count, sem) => count + (modulesBySemester[sem] || []).length, 0)}
+          onSelect={onSelectYear}
+          onRemove={onRemoveYear}
+        />
       ))}
       
       {Object.keys(semestersByYear).length > visibleYears.length && (
@@ -858,12 +2792,105 @@ const Sidebar = ({
         ))}
       </div>
     )}
+
+    <h3 className="font-semibold text-gray-800 mt-6 mb-3">Backup &amp; Share</h3>
+    <div className="space-y-1">
+      <button
+        onClick={onExportPlan}
+        className="w-full flex items-center gap-2 p-2 text-xs text-gray-600 hover:bg-gray-100 rounded transition-colors"
+      >
+        <Download className="w-3 h-3" />
+        Export plan
+      </button>
+      <label className="w-full flex items-center gap-2 p-2 text-xs text-gray-600 hover:bg-gray-100 rounded transition-colors cursor-pointer">
+        <Upload className="w-3 h-3" />
+        Import plan
+        <input
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) onImportPlan(file);
+          }}
+        />
+      </label>
+      <button
+        onClick={onSharePlan}
+        className="w-full flex items-center gap-2 p-2 text-xs text-gray-600 hover:bg-gray-100 rounded transition-colors"
+      >
+        <Share2 className="w-3 h-3" />
+        Share link
+      </button>
+    </div>
   </div>
 );
 
-const GPASummary = ({ gpaData, suData, hideGrades, onToggleHideGrades, academicSettings, onToggleAPCs }) => {
+const HonoursProjection = ({ honours, maxGradePoint }) => {
+  const { current, next, hasGrades, remainingUnits, gapToNext, averageToStay, averageToReachNext } = honours;
+
+  return (
+    <div className="text-[11px] text-gray-600 mt-1 space-y-0.5">
+      {next && hasGrades && (
+        <div>{gapToNext.toFixed(2)} below {next.shortName}</div>
+      )}
+      {remainingUnits > 0 ? (
+        <>
+          {current && (
+            <div>
+              {averageToStay === 0 
+                ? `Any grades keep ${current.shortName}` 
+                : `Stay: avg ≥ ${averageToStay.toFixed(2)}`}
+            </div>
+          )}
+          {next && (
+            <div>
+              {averageToReachNext > maxGradePoint 
+                ? `${next.shortName} out of reach` 
+                : `${next.shortName}: avg ≥ ${averageToReachNext.toFixed(2)}`}
+            </div>
+          )}
+          <div className="text-gray-400">over {remainingUnits} planned units</div>
+        </>
+      ) : hasGrades && (
+        <div className="text-gray-400">Add ungraded modules to project</div>
+      )}
+    </div>
+  );
+};
+
+// Keeps what the user types so a field can be cleared and retyped. Each non-empty draft is offered to
+// onCommit, which ignores values it can't accept; leaving the field shows the saved value again.
+const DraftNumberInput = ({ value, onCommit, ...inputProps }) => {
+  const [draft, setDraft] = useState(String(value));
+
+  useEffect(() => {
+    setDraft(prev => prev !== '' && Number(prev) === value ? prev : String(value));
+  }, [value]);
+
+  return (
+    <input
+      type="number"
+      {...inputProps}
+      value={draft}
+      onChange={(e) => {
+        setDraft(e.target.value);
+        if (e.target.value !== '') onCommit(e.target.value);
+      }}
+      onBlur={() => setDraft(String(value))}
+    />
+  );
+};
+
+const GPASummary = ({ 
+  gpaData, suData, honours, remainingModules, suOptimisation, onApplySUOptimisation, hideGrades, onToggleHideGrades, 
+  academicSettings, onToggleAPCs, gradingScheme, onSelectGradingScheme, workloadThreshold, onChangeWorkloadThreshold, 
+  unitLimits, onChangeUnitLimit, unscheduledUnits = 0 
+}) => {
   const [showTargetPanel, setShowTargetPanel] = useState(false);
   const [showSettingsPanel, setShowSettingsPanel] = useState(false);
+  const [showSUPanel, setShowSUPanel] = useState(false);
   const panelRef = useRef(null);
 
   useEffect(() => {
@@ -871,14 +2898,15 @@ const GPASummary = ({ gpaData, suData, hideGrades, onToggleHideGrades, academicS
       if (panelRef.current && !panelRef.current.contains(event.target)) {
         setShowTargetPanel(false);
         setShowSettingsPanel(false);
+        setShowSUPanel(false);
       }
     };
     
-    if (showTargetPanel || showSettingsPanel) {
+    if (showTargetPanel || showSettingsPanel || showSUPanel) {
       document.addEventListener('mousedown', handleClickOutside);
       return () => document.removeEventListener('mousedown', handleClickOutside);
     }
-  }, [showTargetPanel, showSettingsPanel]);
+  }, [showTargetPanel, showSettingsPanel, showSUPanel]);
 
   return (
     <div className="relative">
@@ -890,6 +2918,16 @@ const GPASummary = ({ gpaData, suData, hideGrades, onToggleHideGrades, academicS
             </div>
             <div className="text-xs text-gray-600">Cumulative GPA</div>
           </div>
+
+          {honours && (
+            <div className="bg-pink-100 rounded-lg px-4 py-2 text-center w-full" title={honours.current ? honours.current.name : undefined}>
+              <div className="text-base md:text-lg font-bold text-pink-600">
+                {hideGrades ? '***' : honours.current ? honours.current.shortName : '—'}
+              </div>
+              <div className="text-xs text-gray-600">Degree Class</div>
+              {!hideGrades && <HonoursProjection honours={honours} maxGradePoint={gradingScheme.maxPoint} />}
+            </div>
+          )}
           
           <div className="bg-blue-100 rounded-lg px-4 py-2 text-center w-full">
             <div className="text-xl md:text-2xl font-bold text-blue-600">
@@ -903,14 +2941,21 @@ const GPASummary = ({ gpaData, suData, hideGrades, onToggleHideGrades, academicS
               {gpaData.totalMCs}
             </div>
             <div className="text-xs text-gray-600">Total MCs</div>
+            {unscheduledUnits > 0 && (
+              <div className="text-[10px] text-green-700" title={`Includes ${unscheduledUnits} units not yet scheduled`}>
+                {gpaData.totalMCs + unscheduledUnits} planned units
+              </div>
+            )}
           </div>
           
-          <div className="bg-purple-100 rounded-lg px-4 py-2 text-center w-full">
-            <div className="text-xl md:text-2xl font-bold text-purple-600">
-              {hideGrades ? '***' : `${suData.subsequentSlots} (${suData.firstTwoSlots})`}
+          {gradingScheme.suPolicy && (
+            <div className="bg-purple-100 rounded-lg px-4 py-2 text-center w-full">
+              <div className="text-xl md:text-2xl font-bold text-purple-600">
+                {hideGrades ? '***' : `${suData.subsequentSlots} (${suData.firstTwoSlots})`}
+              </div>
+              <div className="text-xs text-gray-600">Remaining SUs</div>
             </div>
-            <div className="text-xs text-gray-600">Remaining SUs</div>
-          </div>
+          )}
         </div>
         
         <div className="relative" ref={panelRef}>
@@ -927,6 +2972,7 @@ const GPASummary = ({ gpaData, suData, hideGrades, onToggleHideGrades, academicS
               onClick={() => {
                 setShowTargetPanel(!showTargetPanel);
                 setShowSettingsPanel(false);
+                setShowSUPanel(false);
               }}
               className={`p-2 rounded-lg transition-colors ${
                 showTargetPanel 
@@ -937,169 +2983,917 @@ const GPASummary = ({ gpaData, suData, hideGrades, onToggleHideGrades, academicS
             >
               <Target className="w-5 h-5" />
             </button>
+
+            {gradingScheme.suPolicy && (
+              <button
+                onClick={() => {
+                  setShowSUPanel(!showSUPanel);
+                  setShowTargetPanel(false);
+                  setShowSettingsPanel(false);
+                }}
+                className={`p-2 rounded-lg transition-colors ${
+                  showSUPanel 
+                    ? 'bg-purple-100 text-purple-600' 
+                    : 'hover:bg-gray-100 text-gray-600'
+                }`}
+                title="Optimise S/U"
+              >
+                <Sparkles className="w-5 h-5" />
+              </button>
+            )}
             
             <button
-              onClick={() => {
-                setShowSettingsPanel(!showSettingsPanel);
-                setShowTargetPanel(false);
-              }}
-              className={`p-2 rounded-lg transition-colors ${
-                showSettingsPanel 
-                  ? 'bg-gray-100 text-gray-600' 
-                  : 'hover:bg-gray-100 text-gray-600'
-              }`}
-              title="Settings"
+              onClick={() => {
+                setShowSettingsPanel(!showSettingsPanel);
+                setShowTargetPanel(false);
+                setShowSUPanel(false);
+              }}
+              className={`p-2 rounded-lg transition-colors ${
+                showSettingsPanel 
+                  ? 'bg-gray-100 text-gray-600' 
+                  : 'hover:bg-gray-100 text-gray-600'
+              }`}
+              title="Settings"
+            >
+              <Settings className="w-5 h-5" />
+            </button>
+          </div>
+          
+          {showTargetPanel && (
+            <div className="absolute top-full left-0 mt-2 w-60 md:w-64 lg:w-80 max-w-[40vw] bg-gradient-to-br from-orange-50 to-blue-50 rounded-lg p-4 border border-orange-200 shadow-lg z-50">
+              <div className="flex items-center gap-2 mb-4">
+                <Target className="w-5 h-5 text-orange-600" />
+                <h3 className="text-lg font-semibold text-gray-800">Target GPA Calculator</h3>
+              </div>
+
+              {!hideGrades && (
+                <div className="grid grid-cols-2 gap-4 mb-4">
+                  <div className="bg-white/60 rounded-lg p-3 text-center">
+                    <div className="text-lg font-bold text-orange-600">{gpaData.gpa.toFixed(2)}</div>
+                    <div className="text-xs text-gray-600">Current GPA</div>
+                  </div>
+                  <div className="bg-white/60 rounded-lg p-3 text-center">
+                    <div className="text-lg font-bold text-blue-600">{gpaData.gradedMCs}</div>
+                    <div className="text-xs text-gray-600">Graded MCs</div>
+                  </div>
+                </div>
+              )}
+
+              <TargetGPAContent gpaData={gpaData} remainingModules={remainingModules} gradingScheme={gradingScheme} />
+            </div>
+          )}
+
+          {showSUPanel && (
+            <div className="absolute top-full left-0 mt-2 w-60 md:w-64 lg:w-80 max-w-[40vw] bg-gradient-to-br from-purple-50 to-blue-50 rounded-lg p-4 border border-purple-200 shadow-lg z-50">
+              <div className="flex items-center gap-2 mb-4">
+                <Sparkles className="w-5 h-5 text-purple-600" />
+                <h3 className="text-lg font-semibold text-gray-800">Optimise S/U</h3>
+              </div>
+
+              <SUOptimiserContent
+                suOptimisation={suOptimisation}
+                hideGrades={hideGrades}
+                onApply={() => {
+                  onApplySUOptimisation();
+                  setShowSUPanel(false);
+                }}
+              />
+            </div>
+          )}
+          
+          {showSettingsPanel && (
+            <div className="absolute top-full left-0 mt-2 w-60 md:w-64 lg:w-80 max-w-[40vw] bg-white rounded-lg p-4 border border-gray-200 shadow-lg z-50">
+              <div className="flex items-center gap-2 mb-4">
+                <Settings className="w-5 h-5 text-gray-600" />
+                <h3 className="text-lg font-semibold text-gray-800">Settings</h3>
+              </div>
+
+              <div className="space-y-3">
+                <div>
+                  <label className="block text-sm text-gray-700 mb-1">Grading scheme (this plan)</label>
+                  <select
+                    value={gradingScheme.id}
+                    onChange={(e) => onSelectGradingScheme(e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded text-sm bg-white text-gray-900"
+                  >
+                    {GRADING_SCHEMES.map(scheme => (
+                      <option key={scheme.id} value={scheme.id}>{scheme.name}</option>
+                    ))}
+                  </select>
+                </div>
+                {gradingScheme.suPolicy && (
+                  <div>
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={academicSettings.hasAPCs}
+                        onChange={onToggleAPCs}
+                        className="rounded"
+                      />
+                      20+ APCs (reduces S/U to {gradingScheme.suPolicy.apcCap} MCs)
+                    </label>
+                  </div>
+                )}
+                <div>
+                  <label htmlFor="workload-threshold" className="block text-sm text-gray-700 mb-1">
+                    Warn when weekly workload exceeds (hours)
+                  </label>
+                  <DraftNumberInput
+                    id="workload-threshold"
+                    min="1"
+                    value={workloadThreshold}
+                    onCommit={onChangeWorkloadThreshold}
+                    className="w-full p-2 border border-gray-300 rounded text-sm bg-white text-gray-900"
+                  />
+                </div>
+                {Object.entries(TERM_TYPE_LABELS).map(([termType, label]) => (
+                  <div key={termType}>
+                    <label className="block text-sm text-gray-700 mb-1">{label}: units per term (min – max)</label>
+                    <div className="flex items-center gap-2">
+                      {['min', 'max'].map(bound => (
+                        <DraftNumberInput
+                          key={bound}
+                          min="0"
+                          value={unitLimits[termType][bound]}
+                          onCommit={(value) => onChangeUnitLimit(termType, bound, value)}
+                          aria-label={`${label} ${bound === 'min' ? 'minimum' : 'maximum'} units`}
+                          className="w-full p-2 border border-gray-300 rounded text-sm bg-white text-gray-900"
+                        />
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const TargetGPAContent = ({ gpaData, remainingModules, gradingScheme }) => {
+  const [targetGPA, setTargetGPA] = useState('');
+  const [results, setResults] = useState(null);
+
+  const handleCalculate = () => {
+    const target = parseFloat(targetGPA);
+    if (isNaN(target) || target < 0 || target > gradingScheme.maxPoint) {
+      setResults({ message: `Please enter a valid GPA between 0.00 and ${gradingScheme.maxPoint.toFixed(2)}` });
+      return;
+    }
+
+    setResults(calculateTargetGrades(gpaData, remainingModules, target, gradingScheme));
+  };
+
+  return (
+    <>
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Target GPA (0.00 - {gradingScheme.maxPoint.toFixed(2)})
+        </label>
+        <div className="flex gap-2">
+          <input
+            type="number"
+            min="0"
+            max={gradingScheme.maxPoint}
+            step="0.01"
+            value={targetGPA}
+            onChange={(e) => setTargetGPA(e.target.value)}
+            placeholder="e.g., 4.30"
+            className="flex-1 p-3 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+          />
+          <button
+            onClick={handleCalculate}
+            className="px-6 py-3 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors text-sm font-medium shadow-sm"
+          >
+            Calculate
+          </button>
+        </div>
+      </div>
+
+      {results && (
+        <div className="bg-white/80 rounded-lg p-4 border border-blue-200">
+          {results.message ? (
+            <p className="text-sm text-blue-800 font-medium">{results.message}</p>
+          ) : (
+            <div>
+              <p className="text-sm font-medium text-blue-800 mb-3">
+                To reach GPA {targetGPA}, you need an average of at least {results.requiredAverage.toFixed(2)} over 
+                your {results.moduleCount} remaining modules ({results.remainingUnits} units), for example:
+              </p>
+              <div className="grid gap-2">
+                {results.combinations.map((combination) => (
+                  <div key={combination.label} className="flex justify-between items-center bg-blue-50 rounded-lg p-2">
+                    <span className="text-sm text-blue-700">{combination.label}</span>
+                    <span className="font-bold text-blue-800">{combination.average.toFixed(2)}</span>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-blue-600 mt-3 italic">
+                * Higher grades go to the modules with the most units
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+const SUOptimiserContent = ({ suOptimisation, hideGrades, onApply }) => {
+  const { currentGPA, optimisedGPA, suModules, firstTwoUnits, subsequentUnits, isAlreadyOptimal } = suOptimisation;
+
+  return (
+    <>
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        <div className="bg-white/60 rounded-lg p-3 text-center">
+          <div className="text-lg font-bold text-orange-600">{hideGrades ? '***' : currentGPA.toFixed(2)}</div>
+          <div className="text-xs text-gray-600">Current GPA</div>
+        </div>
+        <div className="bg-white/60 rounded-lg p-3 text-center">
+          <div className="text-lg font-bold text-purple-600">{hideGrades ? '***' : optimisedGPA.toFixed(2)}</div>
+          <div className="text-xs text-gray-600">Optimised GPA</div>
+        </div>
+      </div>
+
+      <div className="bg-white/80 rounded-lg p-4 border border-purple-200">
+        {suModules.length === 0 ? (
+          <p className="text-sm text-purple-800 font-medium">
+            S/U-ing any of your graded modules would not raise your GPA.
+          </p>
+        ) : (
+          <>
+            <p className="text-sm font-medium text-purple-800 mb-3">
+              S/U these modules ({firstTwoUnits} MCs in your first two semesters, {subsequentUnits} MCs after):
+            </p>
+            <div className="grid gap-2">
+              {suModules.map(module => (
+                <div key={module.id} className="flex justify-between items-center bg-purple-50 rounded-lg p-2">
+                  <span className="text-sm text-purple-700">{module.moduleCode}</span>
+                  <span className="text-xs text-purple-600">
+                    {hideGrades ? '' : `${module.letterGrade} · `}{module.moduleCredit} MCs
+                  </span>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+        {isAlreadyOptimal ? (
+          <p className="text-xs text-purple-600 mt-3 italic">* Your current S/U choices are already optimal</p>
+        ) : (
+          <button
+            onClick={onApply}
+            className="mt-3 w-full px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors text-sm font-medium shadow-sm"
+          >
+            Apply these S/U choices
+          </button>
+        )}
+      </div>
+    </>
+  );
+};
+
+const formatRequirementProgress = (requirement) => {
+  if (requirement.type === 'core') return `${requirement.current}/${requirement.required} modules`;
+  if (requirement.type === 'cap') return `${requirement.current}/${requirement.required} units max`;
+  return `${requirement.current}/${requirement.required} units`;
+};
+
+const DegreeRequirementsPanel = ({ programmes, programmeId, selectedModules, onSelectProgramme, onLoadProgramme }) => {
+  const programme = programmes.find(p => p.id === programmeId);
+
+  const evaluation = useMemo(() => 
+    programme ? evaluateDegreeRequirements(programme, selectedModules) : null, 
+    [programme, selectedModules]
+  );
+
+  const metCount = evaluation ? evaluation.requirements.filter(requirement => requirement.isMet).length : 0;
+
+  return (
+    <div className="mt-6 bg-white rounded-lg shadow-lg p-4 border border-gray-200">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-2 mb-4">
+        <div className="flex items-center gap-2">
+          <GraduationCap className="w-5 h-5 text-orange-600" />
+          <h3 className="font-bold text-lg text-gray-800">Graduation Requirements</h3>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={programme ? programme.id : ''}
+            onChange={(e) => onSelectProgramme(e.target.value)}
+            className="p-2 border border-gray-300 rounded text-sm bg-white text-gray-900 max-w-xs"
+          >
+            <option value="">Select a programme</option>
+            {programmes.map(p => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1 p-2 text-xs text-gray-600 hover:bg-gray-100 rounded transition-colors cursor-pointer whitespace-nowrap">
+            <Upload className="w-3 h-3" />
+            Load rules
+            <input
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) onLoadProgramme(file);
+              }}
+            />
+          </label>
+        </div>
+      </div>
+
+      {!evaluation ? (
+        <p className="text-sm text-gray-500">
+          Pick your programme to check this plan against its graduation requirements.
+        </p>
+      ) : (
+        <>
+          <p className={`text-sm font-medium mb-3 ${evaluation.isMet ? 'text-green-700' : 'text-gray-600'}`}>
+            {evaluation.isMet 
+              ? 'This plan meets every requirement.' 
+              : `${metCount} of ${evaluation.requirements.length} requirements met`}
+          </p>
+          <div className="space-y-2">
+            {evaluation.requirements.map(requirement => (
+              <div key={requirement.id} className="flex items-start gap-3 p-2 rounded-lg bg-gray-50">
+                {requirement.isMet 
+                  ? <CheckCircle2 className="w-5 h-5 text-green-600 flex-shrink-0" /> 
+                  : <Circle className="w-5 h-5 text-gray-400 flex-shrink-0" />}
+                <div className="flex-1 min-w-0">
+                  <div className="flex justify-between gap-2 text-sm">
+                    <span className="font-medium text-gray-800">{requirement.name}</span>
+                    <span className="text-gray-600 whitespace-nowrap">{formatRequirementProgress(requirement)}</span>
+                  </div>
+                  {requirement.modules.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-1">
+                      {requirement.modules.map(code => (
+                        <span key={code} className="px-1.5 py-0.5 rounded bg-green-100 text-green-800 text-xs">
+                          {code}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  {requirement.missing.length > 0 && (
+                    <p className="text-xs text-red-600 mt-1">Missing: {requirement.missing.join(', ')}</p>
+                  )}
+                  {requirement.note && (
+                    <p className="text-xs text-amber-700 mt-1">{requirement.note}</p>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const PlanIssuesPanel = ({ issues }) => (
+  <div className="mt-6 bg-white rounded-lg shadow-lg p-4 border border-amber-200">
+    <div className="flex items-center gap-2 mb-3">
+      <AlertTriangle className="w-5 h-5 text-amber-600" />
+      <h3 className="font-bold text-lg text-gray-800">Plan Issues</h3>
+      <span className="text-sm text-gray-500">({issues.length})</span>
+    </div>
+    <ul className="space-y-1">
+      {issues.map(issue => (
+        <li key={issue.id} className="flex flex-col sm:flex-row sm:items-center gap-1 sm:gap-3 text-sm">
+          <span className="font-medium text-gray-800 sm:w-32 flex-shrink-0">{issue.semester}</span>
+          <span className="px-1.5 py-0.5 rounded bg-amber-100 text-amber-800 text-xs font-medium w-fit">{issue.label}</span>
+          <span className="text-gray-600">{issue.detail}</span>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+const TREND_CHART = { width: 640, height: 240, left: 40, right: 40, top: 20, bottom: 40 };
+
+// "AY24/25 Sem 1" -> "24/25 S1", "AY24/25 ST1" -> "24/25 ST1"
+const formatShortSemester = (semester) => semester.replace(/^AY/, '').replace('Sem ', 'S');
+
+const GPATrendPanel = ({ trend, maxPoint, hideGrades }) => {
+  const { width, height, left, right, top, bottom } = TREND_CHART;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  const slot = plotWidth / Math.max(trend.length, 1);
+  const barWidth = Math.min(slot * 0.5, 32);
+  const maxUnits = Math.max(20, Math.ceil(Math.max(...trend.map(point => point.units)) / 4) * 4);
+
+  const xFor = (index) => left + slot * (index + 0.5);
+  const yForGPA = (gpa) => top + plotHeight - (gpa / maxPoint) * plotHeight;
+  const yForUnits = (units) => top + plotHeight - (units / maxUnits) * plotHeight;
+  const gpaTicks = Array.from({ length: Math.floor(maxPoint) + 1 }, (_, index) => index);
+
+  const linePoints = (key) => trend
+    .map((point, index) => point[key] === null ? null : `${xFor(index)},${yForGPA(point[key])}`)
+    .filter(Boolean)
+    .join(' ');
+
+  const lines = [
+    { key: 'semesterGPA', label: 'Semester GPA', stroke: 'stroke-orange-500', fill: 'fill-orange-500' },
+    { key: 'cumulativeGPA', label: 'Cumulative GPA', stroke: 'stroke-blue-600', fill: 'fill-blue-600' }
+  ];
+
+  return (
+    <div className="mt-6 bg-white rounded-lg shadow-lg p-4 border border-gray-200">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-2 mb-2">
+        <div className="flex items-center gap-2">
+          <TrendingUp className="w-5 h-5 text-orange-600" />
+          <h3 className="font-bold text-lg text-gray-800">GPA Trend</h3>
+        </div>
+        <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+          <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-orange-500" />Semester GPA</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-blue-600" />Cumulative GPA</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 bg-gray-200 rounded-sm" />Units</span>
+          <span className="flex items-center gap-1 text-purple-600 font-medium">S/U = S/U used</span>
+        </div>
+      </div>
+
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img" aria-label="Semester and cumulative GPA by semester">
+        {gpaTicks.map(tick => (
+          <g key={tick}>
+            <line x1={left} x2={width - right} y1={yForGPA(tick)} y2={yForGPA(tick)} className="stroke-gray-100" />
+            {!hideGrades && (
+              <text x={left - 8} y={yForGPA(tick) + 3} textAnchor="end" className="fill-gray-500 text-[10px]">{tick.toFixed(1)}</text>
+            )}
+          </g>
+        ))}
+        {[0, maxUnits / 2, maxUnits].map(tick => (
+          <text key={tick} x={width - right + 8} y={yForUnits(tick) + 3} className="fill-gray-400 text-[10px]">{tick}</text>
+        ))}
+
+        {trend.map((point, index) => (
+          <g key={point.semester}>
+            <rect
+              x={xFor(index) - barWidth / 2}
+              y={yForUnits(point.units)}
+              width={barWidth}
+              height={top + plotHeight - yForUnits(point.units)}
+              rx="2"
+              className="fill-gray-200"
+            >
+              <title>{`${point.semester}: ${point.units} units`}</title>
+            </rect>
+            {point.suUnits > 0 && (
+              <text x={xFor(index)} y={yForUnits(point.units) - 4} textAnchor="middle" className="fill-purple-600 text-[9px] font-semibold">
+                S/U
+              </text>
+            )}
+            <text x={xFor(index)} y={height - bottom + 16} textAnchor="middle" className="fill-gray-600 text-[10px]">
+              {formatShortSemester(point.semester)}
+            </text>
+          </g>
+        ))}
+
+        {lines.map(line => (
+          <g key={line.key}>
+            <polyline points={linePoints(line.key)} fill="none" strokeWidth="2" className={line.stroke} />
+            {trend.map((point, index) => point[line.key] !== null && (
+              <circle key={point.semester} cx={xFor(index)} cy={yForGPA(point[line.key])} r="3.5" className={line.fill}>
+                {!hideGrades && <title>{`${point.semester} ${line.label}: ${point[line.key].toFixed(2)}`}</title>}
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+const GEProgressPanel = ({ matricYear, selectedModules }) => {
+  const ruleSet = getGERuleSet(matricYear);
+  const pillars = useMemo(() => evaluateGEProgress(ruleSet, selectedModules), [ruleSet, selectedModules]);
+  const fulfilledCount = pillars.filter(pillar => pillar.isFulfilled).length;
+
+  return (
+    <div className="mt-6 mb-12 bg-white rounded-lg shadow-lg p-4 border border-gray-200">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="font-bold text-lg text-gray-800">{ruleSet.name}</h3>
+          <p className="text-xs text-gray-500">Rules for the {matricYear} intake</p>
+        </div>
+        <p className="text-sm font-medium text-gray-600">
+          {fulfilledCount}/{pillars.length} fulfilled
+        </p>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+        {pillars.map(pillar => (
+          <div key={pillar.id} className="flex items-start gap-2 p-2 rounded-lg bg-gray-50">
+            {pillar.isFulfilled 
+              ? <CheckCircle2 className="w-5 h-5 text-green-600 flex-shrink-0" /> 
+              : <Circle className="w-5 h-5 text-gray-400 flex-shrink-0" />}
+            <div className="min-w-0">
+              <div className="text-sm font-medium text-gray-800">
+                {pillar.name}{pillar.count > 1 && ` (${pillar.modules.length}/${pillar.count})`}
+              </div>
+              <div className="text-xs text-gray-500 truncate">
+                {pillar.modules.length > 0 
+                  ? pillar.modules.map(module => `${module.moduleCode} • ${module.semester}`).join(', ') 
+                  : 'Not fulfilled'}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const NotificationPopup = ({ message, isVisible, onHide, action }) => {
+  useEffect(() => {
+    if (isVisible) {
+      const timer = setTimeout(onHide, 4000);
+      return () => clearTimeout(timer);
+    }
+  }, [isVisible, onHide]);
+
+  if (!isVisible) return null;
+  
+  return (
+    <div role="status" className="fixed bottom-4 right-4 bg-red-100 border border-red-300 text-red-800 text-sm px-4 py-3 rounded-lg shadow-lg flex items-center gap-2 opacity-95 z-50">
+      <AlertTriangle className="w-4 h-4 text-red-600" />
+      <div className="flex-1">{message}</div>
+      {action && (
+        <button
+          onClick={() => {
+            action.onClick();
+            onHide();
+          }}
+          className="font-medium underline hover:text-red-900 transition-colors"
+        >
+          {action.label}
+        </button>
+      )}
+      <button 
+        onClick={onHide}
+        className="text-red-600 hover:text-red-800 transition-colors"
+      >
+        <X className="w-3 h-3" />
+      </button>
+    </div>
+  );
+};
+
+const ModuleEditDialog = ({ module, onSave, onCancel }) => {
+  const [title, setTitle] = useState(module.title);
+  const [moduleCredit, setModuleCredit] = useState(module.moduleCredit);
+  const [error, setError] = useState('');
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const units = Number(moduleCredit);
+    if (moduleCredit === '' || isNaN(units) || units < 0) {
+      setError('Units must be 0 or more.');
+      return;
+    }
+    onSave(module.id, { title: title.trim() || module.title, moduleCredit: String(units) });
+  };
+
+  const inputClass = "w-full p-2 border border-gray-300 rounded text-sm bg-white text-gray-900";
+
+  return (
+    <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-50 p-4">
+      <form onSubmit={handleSave} className="bg-white p-6 rounded-lg shadow-lg max-w-md w-full">
+        <div className="flex items-center gap-2 mb-4">
+          <Pencil className="w-5 h-5 text-gray-600" />
+          <h3 className="text-lg font-semibold text-gray-800">Edit {module.moduleCode}</h3>
+        </div>
+
+        <div className="space-y-3 mb-4">
+          <div>
+            <label className="block text-sm text-gray-700 mb-1">Title</label>
+            <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm text-gray-700 mb-1">Units</label>
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={moduleCredit}
+              onChange={(e) => setModuleCredit(e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          {module.original && (
+            <p className="text-xs text-gray-500">
+              NUSMods: "{module.original.title}", {module.original.moduleCredit} units
+            </p>
+          )}
+          {error && <p className="text-xs text-red-600">{error}</p>}
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-2 justify-end">
+          {module.original && (
+            <button
+              type="button"
+              onClick={() => onSave(module.id, module.original)}
+              className="px-4 py-2 text-sm border border-gray-300 rounded hover:bg-gray-50 transition-colors sm:mr-auto"
             >
-              <Settings className="w-5 h-5" />
+              Reset to NUSMods
             </button>
-          </div>
-          
-          {showTargetPanel && (
-            <div className="absolute top-full left-0 mt-2 w-60 md:w-64 lg:w-80 max-w-[40vw] bg-gradient-to-br from-orange-50 to-blue-50 rounded-lg p-4 border border-orange-200 shadow-lg z-50">
-              <div className="flex items-center gap-2 mb-4">
-                <Target className="w-5 h-5 text-orange-600" />
-                <h3 className="text-lg font-semibold text-gray-800">Target GPA Calculator</h3>
-              </div>
+          )}
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm border border-gray-300 rounded hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-4 py-2 text-sm bg-orange-500 text-white rounded hover:bg-orange-600 transition-colors"
+          >
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
 
-              {!hideGrades && (
-                <div className="grid grid-cols-2 gap-4 mb-4">
-                  <div className="bg-white/60 rounded-lg p-3 text-center">
-                    <div className="text-lg font-bold text-orange-600">{gpaData.gpa.toFixed(2)}</div>
-                    <div className="text-xs text-gray-600">Current GPA</div>
-                  </div>
-                  <div className="bg-white/60 rounded-lg p-3 text-center">
-                    <div className="text-lg font-bold text-blue-600">{gpaData.gradedMCs}</div>
-                    <div className="text-xs text-gray-600">Graded MCs</div>
-                  </div>
-                </div>
-              )}
+const ImportPlanDialog = ({ pendingImport, onReplace, onMerge, onCancel }) => {
+  if (!pendingImport) return null;
 
-              <TargetGPAContent gpaData={gpaData} hideGrades={hideGrades} />
-            </div>
-          )}
-          
-          {showSettingsPanel && (
-            <div className="absolute top-full left-0 mt-2 w-60 md:w-64 lg:w-80 max-w-[40vw] bg-white rounded-lg p-4 border border-gray-200 shadow-lg z-50">
-              <div className="flex items-center gap-2 mb-4">
-                <Settings className="w-5 h-5 text-gray-600" />
-                <h3 className="text-lg font-semibold text-gray-800">Settings</h3>
-              </div>
+  const { plan, issues } = pendingImport;
 
-              <div className="space-y-3">
-                <div>
-                  <label className="flex items-center gap-2 text-sm text-gray-700">
-                    <input
-                      type="checkbox"
-                      checked={academicSettings.hasAPCs}
-                      onChange={onToggleAPCs}
-                      className="rounded"
-                    />
-                    20+ APCs (reduces S/U to 20 MCs)
-                  </label>
-                </div>
-              </div>
+  return (
+    <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-md w-full">
+        <div className="flex items-center gap-2 mb-4">
+          <Upload className="w-5 h-5 text-gray-600" />
+          <h3 className="text-lg font-semibold text-gray-800">Import plan</h3>
+        </div>
+        
+        <p className="text-sm text-gray-600 mb-4">
+          {plan.selectedModules.length} modules across {plan.activeSemesters.length} semesters 
+          ({plan.academicSettings.matricYear} matriculation).
+        </p>
+
+        {issues.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-3 mb-4 max-h-40 overflow-y-auto">
+            <div className="flex items-center gap-2 text-sm font-medium text-yellow-800 mb-1">
+              <AlertTriangle className="w-4 h-4" />
+              {issues.length} {issues.length === 1 ? 'problem' : 'problems'} found
             </div>
-          )}
+            <ul className="text-xs text-yellow-800 list-disc pl-5 space-y-0.5">
+              {issues.map((issue, index) => <li key={index}>{issue}</li>)}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex flex-col sm:flex-row gap-2 justify-end">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-sm border border-gray-300 rounded hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onMerge}
+            className="px-4 py-2 text-sm border border-orange-300 text-orange-600 rounded hover:bg-orange-50 transition-colors"
+          >
+            Merge with current
+          </button>
+          <button
+            onClick={onReplace}
+            className="px-4 py-2 text-sm bg-orange-500 text-white rounded hover:bg-orange-600 transition-colors"
+          >
+            Replace current
+          </button>
         </div>
       </div>
     </div>
   );
 };
 
-const TargetGPAContent = ({ gpaData, hideGrades }) => {
-  const [targetGPA, setTargetGPA] = useState('');
-  const [results, setResults] = useState(null);
+const MatricYearChangeDialog = ({ pendingChange, onShift, onKeepUnassigned, onCancel }) => {
+  if (!pendingChange) return null;
 
-  const handleCalculate = () => {
-    const target = parseFloat(targetGPA);
-    if (isNaN(target) || target < 0 || target > 5) {
-      setResults({ message: "Please enter a valid GPA between 0.00 and 5.00" });
-      return;
-    }
+  const { fromYear, toYear, offset, orphanedModules } = pendingChange;
+  const years = Math.abs(offset);
 
-    const calculation = calculateTargetGrades(
-      gpaData.gpa,
-      gpaData.gradedMCs,
-      gpaData.totalPoints,
-      target
-    );
-    setResults(calculation);
+  return (
+    <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-md w-full">
+        <div className="flex items-center gap-2 mb-4">
+          <GraduationCap className="w-5 h-5 text-gray-600" />
+          <h3 className="text-lg font-semibold text-gray-800">Change matriculation year</h3>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Changing from {fromYear} to {toYear} leaves {orphanedModules.length} {orphanedModules.length === 1 ? 'module' : 'modules'} outside 
+          your new semesters.
+        </p>
+
+        <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-3 mb-4 max-h-40 overflow-y-auto">
+          <ul className="text-xs text-yellow-800 space-y-0.5">
+            {orphanedModules.map(module => (
+              <li key={module.id} className="flex justify-between gap-2">
+                <span className="font-medium">{module.moduleCode}</span>
+                <span>{module.semester}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-2 justify-end">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-sm border border-gray-300 rounded hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onKeepUnassigned}
+            className="px-4 py-2 text-sm border border-orange-300 text-orange-600 rounded hover:bg-orange-50 transition-colors"
+          >
+            Keep as unscheduled
+          </button>
+          <button
+            onClick={onShift}
+            className="px-4 py-2 text-sm bg-orange-500 text-white rounded hover:bg-orange-600 transition-colors"
+          >
+            Shift {offset < 0 ? 'back' : 'forward'} {years} {years === 1 ? 'year' : 'years'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ShareDialog = ({ isOpen, hideGrades, onCreateLink, onClose }) => {
+  const [stripGrades, setStripGrades] = useState(hideGrades);
+  const [link, setLink] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) setStripGrades(hideGrades);
+  }, [isOpen, hideGrades]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+    setCopied(false);
+    onCreateLink(!stripGrades)
+      .then(url => {
+        if (!cancelled) setLink(url);
+      })
+      .catch(error => console.error('Failed to create share link:', error));
+    return () => { cancelled = true; };
+  }, [isOpen, stripGrades, onCreateLink]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch (error) {
+      console.error('Failed to copy link:', error);
+    }
   };
 
+  if (!isOpen) return null;
+
   return (
-    <>
-      <div className="mb-4">
-        <label className="block text-sm font-medium text-gray-700 mb-2">
-          Target GPA (0.00 - 5.00)
+    <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-md w-full">
+        <div className="flex justify-between items-start mb-4">
+          <div className="flex items-center gap-2">
+            <Share2 className="w-5 h-5 text-gray-600" />
+            <h3 className="text-lg font-semibold text-gray-800">Share plan</h3>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-3">
+          Anyone with this link can view your plan read-only and copy it into their own planner.
+        </p>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+          <input
+            type="checkbox"
+            checked={stripGrades}
+            onChange={() => setStripGrades(prev => !prev)}
+            className="rounded"
+          />
+          Hide grades (share module sequence only)
         </label>
+
         <div className="flex gap-2">
           <input
-            type="number"
-            min="0"
-            max="5"
-            step="0.01"
-            value={targetGPA}
-            onChange={(e) => setTargetGPA(e.target.value)}
-            placeholder="e.g., 4.30"
-            className="flex-1 p-3 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+            type="text"
+            readOnly
+            value={link}
+            onFocus={(e) => e.target.select()}
+            className="flex-1 p-2 border border-gray-300 rounded text-xs bg-gray-50 text-gray-700"
           />
           <button
-            onClick={handleCalculate}
-            className="px-6 py-3 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors text-sm font-medium shadow-sm"
+            onClick={handleCopy}
+            disabled={!link}
+            className="flex items-center gap-1 px-3 py-2 bg-orange-500 text-white rounded hover:bg-orange-600 transition-colors text-sm"
           >
-            Calculate
+            <Copy className="w-4 h-4" />
+            {copied ? 'Copied' : 'Copy'}
           </button>
         </div>
       </div>
+    </div>
+  );
+};
 
-      {results && (
-        <div className="bg-white/80 rounded-lg p-4 border border-blue-200">
-          {results.message ? (
-            <p className="text-sm text-blue-800 font-medium">{results.message}</p>
-          ) : (
-            <div>
-              <p className="text-sm font-medium text-blue-800 mb-3">
-                To reach GPA {targetGPA}, you need at least:
-              </p>
-              <div className="grid gap-2">
-                {results.results.map((result, index) => (
-                  <div key={index} className="flex justify-between items-center bg-blue-50 rounded-lg p-2">
-                    <span className="text-sm text-blue-700">{result.grade} modules</span>
-                    <span className="font-bold text-blue-800">{result.modules}</span>
-                  </div>
-                ))}
-              </div>
-              <p className="text-xs text-blue-600 mt-3 italic">
-                * Calculations assume 4-unit modules
-              </p>
-            </div>
-          )}
-        </div>
-      )}
-    </>
+const PlanComparisonColumn = ({ plans, planId, onSelectPlan, hideGrades }) => {
+  const plan = plans.find(p => p.id === planId) || plans[0];
+  const { academicSettings } = plan.data;
+  const selectedModules = useMemo(() => plan.data.selectedModules.filter(isScheduled), [plan.data.selectedModules]);
+  const allSemesters = useMemo(() => 
+    generateAllSemesters(academicSettings.matricYear), 
+    [academicSettings.matricYear]
+  );
+  const gradingScheme = getGradingScheme(academicSettings.gradingSchemeId);
+  const gpaData = useGPACalculations(selectedModules, gradingScheme);
+  const suData = useSUCalculations(selectedModules, allSemesters, academicSettings.hasAPCs, gradingScheme);
+
+  const rows = [
+    { label: 'Cumulative GPA', value: hideGrades ? '***' : gpaData.gpa.toFixed(2), className: 'text-orange-600' },
+    { label: 'Graded MCs', value: gpaData.gradedMCs, className: 'text-blue-600' },
+    { label: 'Total MCs', value: gpaData.totalMCs, className: 'text-green-600' },
+    ...(gradingScheme.suPolicy ? [
+      { 
+        label: 'S/U used', 
+        value: hideGrades ? '***' : `${suData.firstTwoSUUsed + suData.subsequentSUUsed} MCs`, 
+        className: 'text-purple-600' 
+      },
+      { 
+        label: 'Remaining SUs', 
+        value: hideGrades ? '***' : `${suData.subsequentSlots} (${suData.firstTwoSlots})`, 
+        className: 'text-purple-600' 
+      }
+    ] : [])
+  ];
+
+  return (
+    <div className="flex-1 min-w-0">
+      <select
+        value={plan.id}
+        onChange={(e) => onSelectPlan(e.target.value)}
+        className="w-full p-2 border border-gray-300 rounded text-sm bg-white text-gray-900 mb-1"
+      >
+        {plans.map(p => (
+          <option key={p.id} value={p.id}>{p.name}</option>
+        ))}
+      </select>
+      <p className="text-xs text-gray-500 mb-3">
+        {academicSettings.matricYear} • {selectedModules.length} modules
+      </p>
+      <div className="space-y-2">
+        {rows.map(row => (
+          <div key={row.label} className="bg-gray-50 rounded-lg px-3 py-2 text-center">
+            <div className={`text-lg font-bold ${row.className}`}>{row.value}</div>
+            <div className="text-xs text-gray-600">{row.label}</div>
+          </div>
+        ))}
+      </div>
+    </div>
   );
 };
 
-const NotificationPopup = ({ message, isVisible, onHide }) => {
+const PlanComparisonDialog = ({ isOpen, plans, activePlanId, hideGrades, onClose }) => {
+  const [leftPlanId, setLeftPlanId] = useState(activePlanId);
+  const [rightPlanId, setRightPlanId] = useState(null);
+
   useEffect(() => {
-    if (isVisible) {
-      const timer = setTimeout(onHide, 4000);
-      return () => clearTimeout(timer);
+    if (isOpen) {
+      setLeftPlanId(activePlanId);
+      setRightPlanId((plans.find(plan => plan.id !== activePlanId) || plans[0]).id);
     }
-  }, [isVisible, onHide]);
+  }, [isOpen, activePlanId, plans]);
+
+  if (!isOpen || !rightPlanId) return null;
 
-  if (!isVisible) return null;
-  
   return (
-    <div className="fixed bottom-4 right-4 bg-red-100 border border-red-300 text-red-800 text-sm px-4 py-3 rounded-lg shadow-lg flex items-center gap-2 opacity-95 z-50">
-      <AlertTriangle className="w-4 h-4 text-red-600" />
-      <div className="flex-1">{message}</div>
-      <button 
-        onClick={onHide}
-        className="text-red-600 hover:text-red-800 transition-colors"
-      >
-        <X className="w-3 h-3" />
-      </button>
+    <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-lg w-full">
+        <div className="flex justify-between items-start mb-4">
+          <div className="flex items-center gap-2">
+            <Columns className="w-5 h-5 text-gray-600" />
+            <h3 className="text-lg font-semibold text-gray-800">Compare plans</h3>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        <div className="flex gap-4">
+          <PlanComparisonColumn plans={plans} planId={leftPlanId} onSelectPlan={setLeftPlanId} hideGrades={hideGrades} />
+          <PlanComparisonColumn plans={plans} planId={rightPlanId} onSelectPlan={setRightPlanId} hideGrades={hideGrades} />
+        </div>
+      </div>
     </div>
   );
 };
@@ -1140,23 +3934,188 @@ const NUSModsAcknowledgement = () => (
   </div>
 );
 
+const SharedPlanViewer = ({ sharedPlan, copySkipped = [], onCopy, onClose }) => {
+  const { selectedModules, activeSemesters, academicSettings, gradesHidden } = sharedPlan;
+  const gradingScheme = getGradingScheme(academicSettings.gradingSchemeId);
+  const gpaData = useGPACalculations(selectedModules, gradingScheme);
+
+  const semestersByYear = useMemo(() => 
+    activeSemesters.reduce((groups, semester) => {
+      const year = semester.split(' ')[0];
+      if (!groups[year]) groups[year] = [];
+      groups[year].push(semester);
+      return groups;
+    }, {}), 
+    [activeSemesters]
+  );
+
+  const calculateSemesterGPA = useCallback((semester) => 
+    getSemesterGPA(selectedModules, semester, gradingScheme), 
+    [selectedModules, gradingScheme]
+  );
+
+  const calculateSemesterSU = useCallback((semester) => 
+    getSemesterSU(selectedModules, semester, gradingScheme), 
+    [selectedModules, gradingScheme]
+  );
+
+  const getModuleWarnings = useCallback(() => [], []);
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4 pb-12">
+      <div className="max-w-5xl mx-auto">
+        <div className="flex flex-col md:flex-row md:items-end justify-between gap-4 mb-6">
+          <div>
+            <h1 className="text-2xl font-bold bg-gradient-to-r from-orange-500 via-red-500 to-pink-500 bg-clip-text text-transparent mb-1">
+              GradeGauge
+            </h1>
+            <p className="text-sm text-gray-600">
+              Shared plan (read-only) • Matriculated {academicSettings.matricYear}
+            </p>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            {!gradesHidden && (
+              <div className="bg-orange-100 rounded-lg px-4 py-2 text-center">
+                <div className="text-xl font-bold text-orange-600">{gpaData.gpa.toFixed(2)}</div>
+                <div className="text-xs text-gray-600">Cumulative GPA</div>
+              </div>
+            )}
+            <div className="bg-green-100 rounded-lg px-4 py-2 text-center">
+              <div className="text-xl font-bold text-green-600">{gpaData.totalMCs}</div>
+              <div className="text-xs text-gray-600">Total MCs</div>
+            </div>
+            <button
+              onClick={onCopy}
+              className="px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors text-sm font-medium"
+            >
+              Copy into my planner
+            </button>
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors"
+            >
+              Open my planner
+            </button>
+          </div>
+        </div>
+
+        {copySkipped.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-3 mb-6 max-h-40 overflow-y-auto">
+            <div className="flex items-center gap-2 text-sm font-medium text-yellow-800 mb-1">
+              <AlertTriangle className="w-4 h-4" />
+              Copying will skip {copySkipped.length} {copySkipped.length === 1 ? 'module' : 'modules'}
+            </div>
+            <ul className="text-xs text-yellow-800 list-disc pl-5 space-y-0.5">
+              {copySkipped.map((module, index) => <li key={index}>{module}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {Object.entries(semestersByYear).map(([year, semesters]) => (
+          <div key={year} className="mb-6">
+            <h2 className="font-semibold text-gray-800 mb-3">{year}</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4 md:gap-6">
+              {semesters.map(semester => (
+                <SemesterCard
+                  key={semester}
+                  semester={semester}
+                  modules={selectedModules.filter(module => module.semester === semester)}
+                  calculateSemesterGPA={calculateSemesterGPA}
+                  calculateSemesterSU={calculateSemesterSU}
+                  selectedModules={selectedModules}
+                  getModuleWarnings={getModuleWarnings}
+                  isSpecialTerm={semester.includes('ST')}
+                  hideGrades={gradesHidden}
+                  gradingScheme={gradingScheme}
+                  readOnly
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <NUSModsAcknowledgement />
+    </div>
+  );
+};
+
 // Main component
 const NUSGPACalculator = () => {
-  const [selectedModules, setSelectedModules] = useLocalStorage(STORAGE_KEYS.SELECTED_MODULES, []);
-  const [academicSettings, setAcademicSettings] = useLocalStorage(STORAGE_KEYS.ACADEMIC_SETTINGS, { matricYear: 'AY24/25', hasAPCs: false });
-  const [activeSemesters, setActiveSemesters] = useLocalStorage(STORAGE_KEYS.ACTIVE_SEMESTERS, []);
+  const [selectedModules, setSelectedModulesUntracked] = useLocalStorage(STORAGE_KEYS.SELECTED_MODULES, []);
+  const [academicSettings, setAcademicSettingsUntracked] = useLocalStorage(STORAGE_KEYS.ACADEMIC_SETTINGS, { matricYear: 'AY24/25', hasAPCs: false });
+  const [activeSemesters, setActiveSemestersUntracked] = useLocalStorage(STORAGE_KEYS.ACTIVE_SEMESTERS, []);
   const [selectedYear, setSelectedYear] = useLocalStorage(STORAGE_KEYS.SELECTED_YEAR, '');
-  const [visibleYears, setVisibleYears] = useLocalStorage(STORAGE_KEYS.VISIBLE_YEARS, []);
+  const [visibleYears, setVisibleYearsUntracked] = useLocalStorage(STORAGE_KEYS.VISIBLE_YEARS, []);
   const [showHint, setShowHint] = useLocalStorage(STORAGE_KEYS.SHOW_HINT, true);
   const [hideGrades, setHideGrades] = useLocalStorage(STORAGE_KEYS.HIDE_GRADES, false);
+  const [workloadThreshold, setWorkloadThreshold] = useLocalStorage(STORAGE_KEYS.WORKLOAD_THRESHOLD, DEFAULT_WORKLOAD_THRESHOLD);
+  const [unitLimits, setUnitLimits] = useLocalStorage(STORAGE_KEYS.UNIT_LIMITS, DEFAULT_UNIT_LIMITS);
+  const [plans, setPlans] = useLocalStorage(STORAGE_KEYS.PLANS, [{ id: DEFAULT_PLAN_ID, name: 'Main plan', data: null }]);
+  const [activePlanId, setActivePlanId] = useLocalStorage(STORAGE_KEYS.ACTIVE_PLAN_ID, DEFAULT_PLAN_ID);
+  const [customProgrammes, setCustomProgrammes] = useLocalStorage(STORAGE_KEYS.CUSTOM_PROGRAMMES, []);
 
   const [searchTerm, setSearchTerm] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [showModuleSearch, setShowModuleSearch] = useState(null);
   const [notificationMessage, setNotificationMessage] = useState('');
   const [showNotification, setShowNotification] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [showShareDialog, setShowShareDialog] = useState(false);
+  const [showPlanComparison, setShowPlanComparison] = useState(false);
+  const [editingModuleId, setEditingModuleId] = useState(null);
+  const [notificationAction, setNotificationAction] = useState(null);
+  const [pendingMatricChange, setPendingMatricChange] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  // Module to refocus once a keyboard move has re-rendered its card, possibly in another SemesterCard
+  const keyboardFocusRef = useRef(null);
+  // Modules whose stale details have already been re-fetched this session
+  const refreshedModuleIds = useRef(new Set());
+
+  const restorePlanSnapshot = useCallback((snapshot) => {
+    setSelectedModulesUntracked(current => {
+      const restored = keepFetchedDetails(snapshot.selectedModules, current);
+      // Restored modules that are still stale (e.g. removed before their refresh) get another try
+      restored.filter(module => module.detailsVersion !== MODULE_DETAILS_VERSION)
+        .forEach(module => refreshedModuleIds.current.delete(module.id));
+      return restored;
+    });
+    setActiveSemestersUntracked(snapshot.activeSemesters);
+    setAcademicSettingsUntracked(snapshot.academicSettings);
+    setVisibleYearsUntracked(snapshot.visibleYears);
+    setSelectedYear(year => snapshot.visibleYears.includes(year) ? year : snapshot.selectedYear);
+  }, [setSelectedModulesUntracked, setActiveSemestersUntracked, setAcademicSettingsUntracked, 
+      setVisibleYearsUntracked, setSelectedYear]);
+
+  const planHistory = usePlanHistory(
+    { selectedModules, activeSemesters, academicSettings, visibleYears, selectedYear }, 
+    restorePlanSnapshot
+  );
+  const { record: recordHistory, undo, redo, clear: clearHistory, latestEntry } = planHistory;
 
-  const { modules, loading, apiError, fetchModules, fetchModuleDetails } = useModuleAPI();
+  // User edits go through these so they can be undone; background detail refreshes use the untracked setters
+  const setSelectedModules = useCallback((value) => {
+    recordHistory();
+    setSelectedModulesUntracked(value);
+  }, [recordHistory, setSelectedModulesUntracked]);
+
+  const setActiveSemesters = useCallback((value) => {
+    recordHistory();
+    setActiveSemestersUntracked(value);
+  }, [recordHistory, setActiveSemestersUntracked]);
+
+  const setAcademicSettings = useCallback((value) => {
+    recordHistory();
+    setAcademicSettingsUntracked(value);
+  }, [recordHistory, setAcademicSettingsUntracked]);
+
+  const setVisibleYears = useCallback((value) => {
+    recordHistory();
+    setVisibleYearsUntracked(value);
+  }, [recordHistory, setVisibleYearsUntracked]);
+
+  const { moduleLists, loading, apiError, isOffline, resolveAcadYear, fetchModules, fetchModuleDetails } = useModuleAPI();
 
   const allSemesters = useMemo(() => 
     generateAllSemesters(academicSettings.matricYear), 
@@ -1183,8 +4142,26 @@ const NUSGPACalculator = () => {
     [currentYearSemesters, activeSemesters]
   );
 
-  const gpaData = useGPACalculations(selectedModules);
-  const suData = useSUCalculations(selectedModules, allSemesters, academicSettings.hasAPCs);
+  const gradingScheme = getGradingScheme(academicSettings.gradingSchemeId);
+  const scheduledModules = useMemo(() => selectedModules.filter(isScheduled), [selectedModules]);
+  const unassignedModules = useMemo(() => 
+    selectedModules.filter(module => !isScheduled(module)), 
+    [selectedModules]
+  );
+
+  const unscheduledUnits = useMemo(() => sumModuleUnits(unassignedModules), [unassignedModules]);
+
+  const gpaData = useGPACalculations(scheduledModules, gradingScheme);
+  const suData = useSUCalculations(scheduledModules, allSemesters, academicSettings.hasAPCs, gradingScheme);
+  const remainingModules = useMemo(() => 
+    scheduledModules.filter(module => !module.letterGrade && countsTowardsGPA(module)), 
+    [scheduledModules]
+  );
+  const remainingUnits = useMemo(() => sumModuleUnits(remainingModules), [remainingModules]);
+  const honours = useMemo(() => 
+    gradingScheme.hasNUSDegreeClasses ? projectHonoursClass(gpaData, remainingUnits, academicSettings.matricYear) : null, 
+    [gradingScheme, gpaData, remainingUnits, academicSettings.matricYear]
+  );
 
   const modulesBySemester = useMemo(() => 
     selectedModules.reduce((groups, module) => {
@@ -1196,41 +4173,102 @@ const NUSGPACalculator = () => {
     [selectedModules]
   );
 
-  const calculateSemesterGPA = useCallback((semester) => {
-    const semesterModules = selectedModules.filter(module => module.semester === semester);
-    let semesterPoints = 0;
-    let semesterGradedMCs = 0;
+  const catalogueYears = useMemo(() => {
+    const years = new Set([DEFAULT_ACAD_YEAR]);
+    activeSemesters.forEach(semester => years.add(getAcadYear(semester)));
+    scheduledModules.forEach(module => years.add(getAcadYear(module.semester)));
+    return Array.from(years);
+  }, [activeSemesters, scheduledModules]);
 
-    semesterModules.forEach(module => {
-      const moduleCredit = Number(module.moduleCredit) || 0;
-      
-      if (module.isSU && module.letterGrade && module.letterGrade !== 'CS' && module.letterGrade !== 'CU') {
-        return;
-      }
-      
-      const grade = module.letterGrade;
-      
-      if (grade && moduleCredit > 0) {
-        const points = GRADE_POINTS[grade];
-        if (points !== null) {
-          semesterPoints += points * moduleCredit;
-          semesterGradedMCs += moduleCredit;
-        }
-      }
-    });
+  const catalogueCodes = useMemo(() => 
+    Object.entries(moduleLists).reduce((lookup, [acadYear, list]) => {
+      lookup[acadYear] = new Set(list.map(module => module.moduleCode));
+      return lookup;
+    }, {}), 
+    [moduleLists]
+  );
+
+  const getModuleWarnings = useCallback((module) => {
+    const warnings = [];
+    const acadYear = getAcadYear(module.semester);
+    const codes = catalogueCodes[resolveAcadYear(acadYear)];
+    if (codes && !module.isCustom && !codes.has(module.moduleCode)) {
+      warnings.push({ 
+        label: `Not in ${formatAcadYear(acadYear)}`, 
+        detail: `${module.moduleCode} is not in the ${formatAcadYear(acadYear)} NUSMods catalogue` 
+      });
+    }
+    if (module.isProvisional) {
+      warnings.push({ label: 'Units unconfirmed', detail: 'Added offline – units not yet confirmed, so it is left out of your GPA' });
+    }
+    if (isOfferedIn(module, module.semester) === false) {
+      const [, ...term] = module.semester.split(' ');
+      warnings.push({ 
+        label: `Not offered in ${term.join(' ')}`, 
+        detail: `NUSMods doesn't list ${module.moduleCode} in ${module.semester}` 
+      });
+    }
+    const passedAttempt = scheduledModules.find(other => 
+      other.moduleCode === module.moduleCode && other.letterGrade && !isFailedModule(other) &&
+      getSemesterOrder(other.semester) < getSemesterOrder(module.semester)
+    );
+    if (passedAttempt) {
+      warnings.push({ 
+        label: 'Already passed', 
+        detail: `Passed in ${passedAttempt.semester}. NUS normally only allows retaking failed modules.` 
+      });
+    }
+    return [...warnings, ...checkModuleRequisites(module, scheduledModules, allSemesters)];
+  }, [catalogueCodes, resolveAcadYear, scheduledModules, allSemesters]);
 
-    return semesterGradedMCs > 0 ? (semesterPoints / semesterGradedMCs).toFixed(2) : '0.00';
-  }, [selectedModules]);
+  const moduleAttempts = useMemo(() => getModuleAttempts(scheduledModules), [scheduledModules]);
 
-  const calculateSemesterSU = useCallback((semester) => {
-    const semesterModules = selectedModules.filter(module => module.semester === semester);
-    return semesterModules.reduce((sum, module) => {
-      if (module.isSU && module.letterGrade && module.letterGrade !== 'CS' && module.letterGrade !== 'CU') {
-        return sum + (Number(module.moduleCredit) || 0);
-      }
-      return sum;
-    }, 0);
-  }, [selectedModules]);
+  const planIssues = useMemo(() => 
+    [...activeSemesters]
+      .sort((a, b) => getSemesterOrder(a) - getSemesterOrder(b))
+      .flatMap(semester => {
+        const modules = modulesBySemester[semester] || [];
+        const loadWarning = checkSemesterLoad(semester, getSemesterLoad(modules), unitLimits);
+        const clashes = findExamClashes(modules).map(clash => ({
+          id: `exam-${clash.first.module.id}-${clash.second.module.id}`,
+          semester,
+          label: 'Exam clash',
+          detail: describeExamClash(clash)
+        }));
+        const notOffered = modules
+          .filter(module => isOfferedIn(module, semester) === false)
+          .map(module => ({
+            id: `offering-${module.id}`,
+            semester,
+            label: 'Not offered',
+            detail: `${module.moduleCode} is not offered in this term`
+          }));
+        return [...(loadWarning ? [{ id: `load-${semester}`, semester, ...loadWarning }] : []), ...clashes, ...notOffered];
+      }),
+    [activeSemesters, modulesBySemester, unitLimits]
+  );
+
+  const gpaTrend = useMemo(() => 
+    buildGPATrend(scheduledModules, activeSemesters, gradingScheme), 
+    [scheduledModules, activeSemesters, gradingScheme]
+  );
+
+  const getModuleAttempt = useCallback((module) => moduleAttempts.get(module.id) || null, [moduleAttempts]);
+
+  const getModulePillar = useCallback((module) => {
+    const pillar = classifyModulePillar(module, getGERuleSet(academicSettings.matricYear));
+    return pillar ? pillar.name : null;
+  }, [academicSettings.matricYear]);
+
+  const calculateSemesterGPA = useCallback((semester) => 
+    getSemesterGPA(selectedModules, semester, gradingScheme), 
+    [selectedModules, gradingScheme]
+  );
+
+  const calculateSemesterSU = useCallback((semester) => 
+    getSemesterSU(selectedModules, semester, gradingScheme), 
+    [selectedModules, gradingScheme]
+  );
 
   const handleSearch = useCallback((term) => {
     setSearchTerm(term);
@@ -1239,90 +4277,237 @@ const NUSGPACalculator = () => {
       return;
     }
     
-    const filtered = modules.filter(module => 
+    const catalogue = moduleLists[resolveAcadYear(getAcadYear(showModuleSearch))] || [];
+    const filtered = catalogue.filter(module => 
       module.moduleCode.toLowerCase().includes(term.toLowerCase()) ||
       module.title.toLowerCase().includes(term.toLowerCase())
     ).slice(0, 10);
     
     setSearchResults(filtered);
-  }, [modules]);
+  }, [moduleLists, resolveAcadYear, showModuleSearch]);
+
+  const showNotificationMessage = useCallback((message, action = null) => {
+    setNotificationMessage(message);
+    setNotificationAction(action);
+    setShowNotification(true);
+  }, []);
+
+  // The toast's Undo belongs to the change it reports, so it is withdrawn once another one is recorded
+  const notifyUndoable = useCallback((message) => {
+    showNotificationMessage(message, { label: 'Undo', onClick: undo, historyEntry: latestEntry() });
+  }, [showNotificationMessage, undo, latestEntry]);
+
+  const hideNotification = useCallback(() => {
+    setShowNotification(false);
+  }, []);
+
+  useEffect(() => {
+    if (notificationAction?.historyEntry && notificationAction.historyEntry !== latestEntry()) {
+      setShowNotification(false);
+      setNotificationAction(null);
+    }
+  }, [notificationAction, latestEntry, selectedModules, activeSemesters, academicSettings, visibleYears]);
+
+  const notifyRequisiteIssues = useCallback((module, modules) => {
+    const [issue] = checkModuleRequisites(module, modules, allSemesters);
+    if (issue) {
+      showNotificationMessage(`${module.moduleCode}: ${issue.detail}`);
+    }
+  }, [allSemesters, showNotificationMessage]);
 
   const addModule = useCallback(async (moduleCode, semester) => {
-    if (selectedModules.find(m => m.moduleCode === moduleCode)) return;
+    if (getAttemptStatus(selectedModules, moduleCode, semester) === 'taken') {
+      showNotificationMessage(semester === UNASSIGNED_SEMESTER
+        ? `${moduleCode} is already in your plan.`
+        : unassignedModules.some(m => m.moduleCode === moduleCode)
+          ? `${moduleCode} is already in your planned courses. Schedule it from there.`
+          : `${moduleCode} is already planned in this or a later semester. A retake must come after it.`);
+      return;
+    }
+    
+    const acadYear = getAcadYear(semester);
+    let moduleDetails;
     
     try {
-      const moduleData = await fetchModuleDetails(moduleCode);
-      
-      const newModule = {
-        moduleCode: moduleData.moduleCode,
-        title: moduleData.title,
-        moduleCredit: moduleData.moduleCredit,
-        letterGrade: '',
-        isSU: false,
-        semester: semester,
-        id: Date.now()
-      };
-      
-      setSelectedModules(prev => [...prev, newModule]);
-      setSearchTerm('');
-      setSearchResults([]);
-      setShowModuleSearch(null);
+      moduleDetails = pickModuleDetails(await fetchModuleDetails(moduleCode, acadYear));
     } catch (error) {
-      // Error handling is done in the hook
+      // Offline without cached details: add from the module list and confirm the units once back online
+      const listEntry = (moduleLists[resolveAcadYear(acadYear)] || []).find(m => m.moduleCode === moduleCode);
+      if (!isNetworkError(error) || !listEntry) {
+        showNotificationMessage('Failed to add module. Please try again.');
+        return;
+      }
+      moduleDetails = {
+        moduleCode: listEntry.moduleCode,
+        title: listEntry.title,
+        moduleCredit: '4',
+        isProvisional: true
+      };
     }
-  }, [selectedModules, fetchModuleDetails]);
+    
+    const newModule = {
+      ...moduleDetails,
+      letterGrade: '',
+      isSU: false,
+      semester: semester,
+      id: Date.now()
+    };
+    
+    setSelectedModules(prev => [...prev, newModule]);
+    setSearchTerm('');
+    setSearchResults([]);
+    setShowModuleSearch(null);
+    if (isScheduled(newModule)) {
+      notifyRequisiteIssues(newModule, [...scheduledModules, newModule]);
+    }
+  }, [selectedModules, scheduledModules, unassignedModules, fetchModuleDetails, moduleLists, resolveAcadYear, 
+      showNotificationMessage, notifyRequisiteIssues, setSelectedModules]);
+
+  const addCustomModule = useCallback((semester, draft) => {
+    const moduleCode = draft.moduleCode.trim().toUpperCase();
+    const mappedCode = draft.mappedCode.trim().toUpperCase();
+    const moduleCredit = Number(draft.moduleCredit);
+
+    if (!moduleCode) return { error: 'Enter a module code.' };
+    if (draft.moduleCredit === '' || isNaN(moduleCredit) || moduleCredit < 0) return { error: 'Units must be 0 or more.' };
+    if (!CUSTOM_MODULE_TYPES[draft.creditType]) return { error: 'Choose a module type.' };
+    if (selectedModules.some(m => m.moduleCode === moduleCode)) return { error: `${moduleCode} is already in your plan.` };
+
+    const newModule = {
+      moduleCode,
+      title: draft.title.trim() || CUSTOM_MODULE_TYPES[draft.creditType].label,
+      moduleCredit: String(moduleCredit),
+      mappedCode,
+      creditType: draft.creditType,
+      isCustom: true,
+      letterGrade: '',
+      isSU: false,
+      semester,
+      id: Date.now()
+    };
+
+    setSelectedModules(prev => [...prev, newModule]);
+    return { module: newModule };
+  }, [selectedModules, setSelectedModules]);
+
+  const refreshProvisionalModules = useCallback(() => {
+    selectedModules.filter(module => module.isProvisional).forEach(async (module) => {
+      try {
+        const moduleData = await fetchModuleDetails(module.moduleCode, getAcadYear(module.semester));
+        setSelectedModulesUntracked(prev => prev.map(m => 
+          m.id === module.id ? { ...mergeModuleDetails(m, pickModuleDetails(moduleData)), isProvisional: false } : m
+        ));
+      } catch (error) {
+        // Still offline; try again on the next reconnect
+      }
+    });
+  }, [selectedModules, fetchModuleDetails, setSelectedModulesUntracked]);
+
+  const retryConnection = useCallback(() => {
+    catalogueYears.forEach(acadYear => fetchModules(acadYear));
+    refreshProvisionalModules();
+  }, [catalogueYears, fetchModules, refreshProvisionalModules]);
 
   const updateLetterGrade = useCallback((id, grade) => {
+    const module = selectedModules.find(m => m.id === id);
     setSelectedModules(modules => 
       modules.map(module => 
         module.id === id ? { ...module, letterGrade: grade, isSU: false } : module
       )
     );
-  }, []);
-
-  const showNotificationMessage = useCallback((message) => {
-    setNotificationMessage(message);
-    setShowNotification(true);
-  }, []);
-
-  const hideNotification = useCallback(() => {
-    setShowNotification(false);
-  }, []);
+    if (module) setAnnouncement(grade ? `${module.moduleCode} graded ${grade}` : `${module.moduleCode} grade cleared`);
+  }, [selectedModules, setSelectedModules]);
 
+  // Checks run against the rendered plan so notifications and announcements stay out of the state updater
   const toggleSU = useCallback((id) => {
-    setSelectedModules(modules => {
-      const module = modules.find(m => m.id === id);
-      if (!module) return modules;
+    const module = selectedModules.find(m => m.id === id);
+    if (!module) return;
 
-      if (!module.isSU) {
-        const moduleCredit = Number(module.moduleCredit) || 0;
-        const firstTwoSemesters = allSemesters.filter(sem => !sem.includes('ST')).slice(0, 2);
-        const isFirstTwoSem = firstTwoSemesters.includes(module.semester);
-        
-        if (isFirstTwoSem) {
-          if (suData.firstTwoRemaining < moduleCredit) {
-            showNotificationMessage(`Not enough S/U credits remaining for first 2 semesters. Available: ${suData.firstTwoRemaining} MCs`);
-            return modules;
-          }
-        } else {
-          if (suData.subsequentRemaining < moduleCredit) {
-            showNotificationMessage(`Not enough S/U credits remaining for subsequent semesters. Available: ${suData.subsequentRemaining} MCs`);
-            return modules;
-          }
+    if (!module.isSU) {
+      if (!gradingScheme.suPolicy) {
+        showNotificationMessage(`The ${gradingScheme.name} grading scheme has no S/U option.`);
+        return;
+      }
+      if (!isSUEligible(module)) {
+        showNotificationMessage(`${module.moduleCode} cannot be S/U-ed. NUS marks it as not eligible for the S/U option.`);
+        return;
+      }
+
+      const moduleCredit = Number(module.moduleCredit) || 0;
+      const firstTwoSemesters = allSemesters.filter(sem => !sem.includes('ST')).slice(0, 2);
+      const isFirstTwoSem = firstTwoSemesters.includes(module.semester);
+      
+      if (isFirstTwoSem) {
+        if (suData.firstTwoRemaining < moduleCredit) {
+          showNotificationMessage(`Not enough S/U credits remaining for first 2 semesters. Available: ${suData.firstTwoRemaining} MCs`);
+          return;
+        }
+      } else {
+        if (suData.subsequentRemaining < moduleCredit) {
+          showNotificationMessage(`Not enough S/U credits remaining for subsequent semesters. Available: ${suData.subsequentRemaining} MCs`);
+          return;
         }
       }
+    }
 
-      return modules.map(m => 
-        m.id === id ? { ...m, isSU: !m.isSU } : m
-      );
-    });
-  }, [allSemesters, suData, showNotificationMessage]);
+    setSelectedModules(modules => 
+      modules.map(m => 
+        m.id === id ? { ...m, isSU: !module.isSU } : m
+      )
+    );
+    setAnnouncement(`${module.moduleCode} ${module.isSU ? 'no longer S/U-ed' : 'S/U-ed'}`);
+  }, [selectedModules, allSemesters, suData, gradingScheme, showNotificationMessage, setSelectedModules]);
+
+  const suOptimisation = useMemo(() => 
+    optimiseSUChoices(scheduledModules, allSemesters, academicSettings.hasAPCs, gradingScheme),
+    [scheduledModules, allSemesters, academicSettings.hasAPCs, gradingScheme]
+  );
+
+  const applySUOptimisation = useCallback(() => {
+    const candidateIds = new Set(suOptimisation.candidateIds);
+    const suModuleIds = new Set(suOptimisation.suModuleIds);
+    setSelectedModules(modules => 
+      modules.map(module => 
+        candidateIds.has(module.id) ? { ...module, isSU: suModuleIds.has(module.id) } : module
+      )
+    );
+    showNotificationMessage(
+      `S/U applied to ${suModuleIds.size} module${suModuleIds.size === 1 ? '' : 's'}`
+    );
+  }, [suOptimisation, showNotificationMessage, setSelectedModules]);
+
+  const saveModuleEdit = useCallback((id, changes) => {
+    setSelectedModules(modules => 
+      modules.map(module => module.id === id ? applyModuleEdit(module, changes) : module)
+    );
+    setEditingModuleId(null);
+  }, [setSelectedModules]);
+
+  const editingModule = selectedModules.find(module => module.id === editingModuleId);
 
   const removeModule = useCallback((id) => {
+    const module = selectedModules.find(m => m.id === id);
     setSelectedModules(modules => modules.filter(module => module.id !== id));
-  }, []);
+    if (module) {
+      notifyUndoable(`Removed ${module.moduleCode} from ${isScheduled(module) ? module.semester : 'planned courses'}`);
+    }
+  }, [selectedModules, notifyUndoable, setSelectedModules]);
 
+  // Returns whether the module moved; moves that would break attempt order are refused with a notification
   const moveModule = useCallback((moduleId, targetSemester, insertIndex = null) => {
+    const moduleToCheck = selectedModules.find(m => m.id === moduleId);
+    if (moduleToCheck && moduleToCheck.semester !== targetSemester) {
+      const blocker = checkAttemptMove(selectedModules, moduleToCheck, targetSemester);
+      if (blocker) {
+        showNotificationMessage(blocker);
+        return false;
+      }
+    }
+    if (moduleToCheck && moduleToCheck.semester !== targetSemester && targetSemester !== UNASSIGNED_SEMESTER) {
+      const movedModule = { ...moduleToCheck, semester: targetSemester };
+      notifyRequisiteIssues(movedModule, selectedModules.map(m => m.id === moduleId ? movedModule : m).filter(isScheduled));
+    }
+
     setSelectedModules(modules => {
       const moduleToMove = modules.find(m => m.id === moduleId);
       if (!moduleToMove) return modules;
@@ -1340,30 +4525,127 @@ const NUSGPACalculator = () => {
         return [...filteredModules, updatedModule];
       }
     });
-  }, []);
+    return true;
+  }, [selectedModules, showNotificationMessage, notifyRequisiteIssues, setSelectedModules]);
+
+  const moduleDrag = useModuleDrag(moveModule);
+
+  const applyMatricYearChange = useCallback((matricYear, mode) => {
+    const plan = changePlanMatricYear(
+      { selectedModules, activeSemesters, academicSettings, visibleYears, selectedYear }, 
+      matricYear, 
+      mode
+    );
+    setSelectedModules(plan.selectedModules);
+    setActiveSemesters(plan.activeSemesters);
+    setAcademicSettings(plan.academicSettings);
+    setVisibleYears(plan.visibleYears);
+    setSelectedYear(plan.selectedYear);
+    setPendingMatricChange(null);
+  }, [selectedModules, activeSemesters, academicSettings, visibleYears, selectedYear, 
+      setSelectedModules, setActiveSemesters, setAcademicSettings, setVisibleYears, setSelectedYear]);
+
+  // Arrow keys on a focused card: up/down reorder within its semester, left/right step through the
+  // active semesters in order, with the unscheduled pool before the first one
+  const moveModuleByKey = useCallback((moduleId, direction) => {
+    const module = selectedModules.find(m => m.id === moduleId);
+    if (!module) return;
+
+    let targetSemester = module.semester;
+    let insertIndex;
+    let count;
+    if (direction === 'up' || direction === 'down') {
+      const siblings = selectedModules.filter(m => m.semester === module.semester);
+      insertIndex = siblings.indexOf(module) + (direction === 'up' ? -1 : 1);
+      if (insertIndex < 0 || insertIndex >= siblings.length) return;
+      count = siblings.length;
+    } else {
+      const order = [UNASSIGNED_SEMESTER, ...[...activeSemesters].sort((a, b) => getSemesterOrder(a) - getSemesterOrder(b))];
+      targetSemester = order[order.indexOf(module.semester) + (direction === 'left' ? -1 : 1)];
+      if (!targetSemester) return;
+      insertIndex = selectedModules.filter(m => m.semester === targetSemester).length;
+      count = insertIndex + 1;
+    }
+
+    if (!moveModule(moduleId, targetSemester, insertIndex)) return;
+    keyboardFocusRef.current = moduleId;
+    const targetYear = targetSemester.split(' ')[0];
+    if (targetSemester !== UNASSIGNED_SEMESTER && targetYear !== selectedYear) {
+      setSelectedYear(targetYear);
+    }
+    const place = targetSemester === UNASSIGNED_SEMESTER ? 'planned courses' : targetSemester;
+    setAnnouncement(`${module.moduleCode} moved to ${place}, position ${insertIndex + 1} of ${count}`);
+  }, [selectedModules, activeSemesters, selectedYear, moveModule, setSelectedYear]);
 
+  // Only asks when some modules would fall outside the new candidature
   const updateMatricYear = useCallback((matricYear) => {
-    setAcademicSettings({ matricYear, hasAPCs: academicSettings.hasAPCs });
-    setActiveSemesters([]);
-    setSelectedYear('');
-    const newAllSemesters = generateAllSemesters(matricYear);
-    setSelectedModules(modules => modules.filter(module => newAllSemesters.includes(module.semester)));
-  }, [academicSettings.hasAPCs]);
+    if (matricYear === academicSettings.matricYear) return;
+    const orphanedModules = findOrphanedModules(selectedModules, matricYear);
+    if (orphanedModules.length === 0) {
+      applyMatricYearChange(matricYear, 'unassign');
+      return;
+    }
+    setPendingMatricChange({
+      fromYear: academicSettings.matricYear,
+      toYear: matricYear,
+      offset: getMatricYearOffset(academicSettings.matricYear, matricYear),
+      orphanedModules
+    });
+  }, [academicSettings.matricYear, selectedModules, applyMatricYearChange]);
+
+  const programmes = useMemo(() => 
+    // Rule files saved before validation was tightened are skipped rather than breaking the panel
+    [...BUNDLED_PROGRAMMES, ...customProgrammes.filter(p => !BUNDLED_PROGRAMMES.some(b => b.id === p.id) && !validateProgramme(p))], 
+    [customProgrammes]
+  );
+
+  const selectProgramme = useCallback((programmeId) => {
+    setAcademicSettings(prev => ({ ...prev, programmeId }));
+  }, [setAcademicSettings]);
+
+  const loadProgramme = useCallback(async (file) => {
+    try {
+      const programme = JSON.parse(await file.text());
+      const error = validateProgramme(programme);
+      if (error) {
+        showNotificationMessage(error);
+        return;
+      }
+      setCustomProgrammes(prev => [...prev.filter(p => p.id !== programme.id), programme]);
+      selectProgramme(programme.id);
+    } catch (error) {
+      console.error('Failed to read programme rules:', error);
+      showNotificationMessage('Could not read the rule file. Please choose a valid JSON file.');
+    }
+  }, [setCustomProgrammes, selectProgramme, showNotificationMessage]);
 
   const toggleAPCs = useCallback(() => {
     setAcademicSettings(prev => ({ ...prev, hasAPCs: !prev.hasAPCs }));
-  }, []);
+  }, [setAcademicSettings]);
+
+  const selectGradingScheme = useCallback((gradingSchemeId) => {
+    const scheme = getGradingScheme(gradingSchemeId);
+    setAcademicSettings(prev => ({ ...prev, gradingSchemeId: scheme.id }));
+
+    const offScale = selectedModules.filter(module => module.letterGrade && !(module.letterGrade in scheme.gradePoints));
+    if (offScale.length > 0) {
+      showNotificationMessage(
+        `${offScale.length} grade${offScale.length === 1 ? ' is' : 's are'} not on the ${scheme.name} and won't count until regraded`
+      );
+    }
+  }, [selectedModules, showNotificationMessage, setAcademicSettings]);
 
   const addSemester = useCallback((semester) => {
     if (!activeSemesters.includes(semester)) {
       setActiveSemesters(prev => [...prev, semester]);
     }
-  }, [activeSemesters]);
+  }, [activeSemesters, setActiveSemesters]);
 
   const removeSemester = useCallback((semester) => {
     setActiveSemesters(prev => prev.filter(sem => sem !== semester));
     setSelectedModules(prev => prev.filter(module => module.semester !== semester));
-  }, []);
+    notifyUndoable(`Removed ${semester}`);
+  }, [notifyUndoable, setActiveSemesters, setSelectedModules]);
 
   const removeAcademicYear = useCallback((year) => {
     const yearSemesters = semestersByYear[year] || [];
@@ -1374,7 +4656,9 @@ const NUSGPACalculator = () => {
     if (selectedYear === year) {
       setSelectedYear(newVisibleYears[0] || '');
     }
-  }, [semestersByYear, visibleYears, selectedYear]);
+    notifyUndoable(`Removed ${year}`);
+  }, [semestersByYear, visibleYears, selectedYear, notifyUndoable, 
+      setSelectedModules, setActiveSemesters, setVisibleYears, setSelectedYear]);
 
   const addAcademicYear = useCallback(() => {
     const allYears = Object.keys(semestersByYear);
@@ -1382,15 +4666,214 @@ const NUSGPACalculator = () => {
     if (nextYear) {
       setVisibleYears(prev => [...prev, nextYear]);
     }
-  }, [semestersByYear, visibleYears]);
+  }, [semestersByYear, visibleYears, setVisibleYears]);
+
+  const changeWorkloadThreshold = useCallback((value) => {
+    const hours = Number(value);
+    if (hours > 0) setWorkloadThreshold(hours);
+  }, [setWorkloadThreshold]);
+
+  // A minimum above the maximum (or the reverse) is ignored until the other bound makes room for it
+  const changeUnitLimit = useCallback((termType, bound, value) => {
+    const units = Number(value);
+    if (value === '' || isNaN(units) || units < 0) return;
+    const limits = { ...unitLimits[termType], [bound]: units };
+    if (limits.min > limits.max) return;
+    setUnitLimits(prev => ({ ...prev, [termType]: limits }));
+  }, [unitLimits, setUnitLimits]);
 
   const toggleHideGrades = useCallback(() => {
     setHideGrades(prev => !prev);
-  }, []);
+  }, [setHideGrades]);
+
+  // The active plan lives in the individual STORAGE_KEYS entries; other plans keep a snapshot in `data`
+  const currentPlanData = useMemo(() => ({
+    selectedModules, activeSemesters, academicSettings, visibleYears, selectedYear
+  }), [selectedModules, activeSemesters, academicSettings, visibleYears, selectedYear]);
+
+  const plansWithData = useMemo(() => 
+    plans.map(plan => plan.id === activePlanId ? { ...plan, data: currentPlanData } : plan), 
+    [plans, activePlanId, currentPlanData]
+  );
+
+  // Switching plans starts a fresh history; undo never crosses into another plan
+  const loadPlanData = useCallback((data) => {
+    setSelectedModulesUntracked(data.selectedModules);
+    setActiveSemestersUntracked(data.activeSemesters);
+    setAcademicSettingsUntracked(data.academicSettings);
+    setVisibleYearsUntracked(data.visibleYears);
+    setSelectedYear(data.selectedYear);
+    clearHistory();
+  }, [setSelectedModulesUntracked, setActiveSemestersUntracked, setAcademicSettingsUntracked, 
+      setVisibleYearsUntracked, setSelectedYear, clearHistory]);
+
+  const activatePlan = useCallback((planId, nextPlans) => {
+    const target = nextPlans.find(plan => plan.id === planId);
+    setPlans(nextPlans.map(plan => plan.id === activePlanId ? { ...plan, data: currentPlanData } : plan));
+    setActivePlanId(planId);
+    loadPlanData(target.data);
+  }, [activePlanId, currentPlanData, loadPlanData, setPlans, setActivePlanId]);
+
+  const switchPlan = useCallback((planId) => {
+    if (planId !== activePlanId) activatePlan(planId, plans);
+  }, [activePlanId, activatePlan, plans]);
+
+  const createPlan = useCallback(() => {
+    const newPlan = {
+      id: `plan-${Date.now()}`,
+      name: `Plan ${plans.length + 1}`,
+      data: { selectedModules: [], activeSemesters: [], academicSettings: { ...academicSettings }, visibleYears: [], selectedYear: '' }
+    };
+    activatePlan(newPlan.id, [...plans, newPlan]);
+  }, [plans, academicSettings, activatePlan]);
+
+  const duplicatePlan = useCallback((planId) => {
+    const source = plansWithData.find(plan => plan.id === planId);
+    const newPlan = {
+      id: `plan-${Date.now()}`,
+      name: `${source.name} (copy)`,
+      data: JSON.parse(JSON.stringify(source.data))
+    };
+    activatePlan(newPlan.id, [...plans, newPlan]);
+  }, [plans, plansWithData, activatePlan]);
+
+  const renamePlan = useCallback((planId, name) => {
+    setPlans(prev => prev.map(plan => plan.id === planId ? { ...plan, name } : plan));
+  }, [setPlans]);
+
+  const deletePlan = useCallback((planId) => {
+    if (plans.length < 2) return;
+    const remainingPlans = plans.filter(plan => plan.id !== planId);
+    setPlans(remainingPlans);
+    if (planId === activePlanId) {
+      setActivePlanId(remainingPlans[0].id);
+      loadPlanData(remainingPlans[0].data);
+    }
+  }, [plans, activePlanId, loadPlanData, setPlans, setActivePlanId]);
+
+  const exportPlan = useCallback(() => {
+    const planExport = buildPlanExport({
+      selectedModules,
+      activeSemesters,
+      academicSettings,
+      visibleYears,
+      preferences: { selectedYear, showHint, hideGrades }
+    });
+    const blob = new Blob([JSON.stringify(planExport, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `gradegauge-plan-${planExport.exportedAt.substring(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [selectedModules, activeSemesters, academicSettings, visibleYears, selectedYear, showHint, hideGrades]);
+
+  const createShareLink = useCallback(async (includeGrades) => {
+    const hash = await encodeSharedPlan({ selectedModules: scheduledModules, academicSettings }, { includeGrades });
+    return `${window.location.origin}${window.location.pathname}${hash}`;
+  }, [scheduledModules, academicSettings]);
+
+  const importPlan = useCallback(async (file) => {
+    try {
+      const result = validatePlanImport(JSON.parse(await file.text()));
+      if (result.error) {
+        showNotificationMessage(result.error);
+        return;
+      }
+      setPendingImport(result);
+    } catch (error) {
+      console.error('Failed to read plan file:', error);
+      showNotificationMessage('Could not read the plan file. Please choose a valid JSON export.');
+    }
+  }, [showNotificationMessage]);
+
+  const replaceWithImport = useCallback(() => {
+    const { plan } = pendingImport;
+    setSelectedModules(plan.selectedModules);
+    setActiveSemesters(plan.activeSemesters);
+    setAcademicSettings(plan.academicSettings);
+    setVisibleYears(plan.visibleYears);
+    setSelectedYear(plan.preferences.selectedYear);
+    setShowHint(plan.preferences.showHint);
+    setHideGrades(plan.preferences.hideGrades);
+    setPendingImport(null);
+  }, [pendingImport, setSelectedModules, setActiveSemesters, setAcademicSettings, setVisibleYears, 
+      setSelectedYear, setShowHint, setHideGrades]);
+
+  const mergeWithImport = useCallback(() => {
+    const { plan, skipped } = mergePlans(
+      { selectedModules, activeSemesters, academicSettings, visibleYears },
+      pendingImport.plan
+    );
+    setSelectedModules(plan.selectedModules);
+    setActiveSemesters(plan.activeSemesters);
+    setVisibleYears(plan.visibleYears);
+    setPendingImport(null);
+    if (skipped.length > 0) {
+      showNotificationMessage(`Skipped ${skipped.length} modules: ${skipped.join(', ')}`);
+    }
+  }, [pendingImport, selectedModules, activeSemesters, academicSettings, visibleYears, 
+      setSelectedModules, setActiveSemesters, setVisibleYears, showNotificationMessage]);
+
+  useEffect(() => {
+    catalogueYears.forEach(acadYear => fetchModules(acadYear));
+  }, [catalogueYears, fetchModules]);
+
+  // Modules saved before a field was added to pickModuleDetails get their details refreshed once
+  useEffect(() => {
+    selectedModules
+      .filter(module => module.detailsVersion !== MODULE_DETAILS_VERSION && !module.isProvisional && !module.isCustom)
+      .filter(module => !refreshedModuleIds.current.has(module.id))
+      .forEach(async (module) => {
+        refreshedModuleIds.current.add(module.id);
+        try {
+          const moduleData = await fetchModuleDetails(module.moduleCode, getAcadYear(module.semester));
+          setSelectedModulesUntracked(prev => prev.map(m => 
+            m.id === module.id ? mergeModuleDetails(m, pickModuleDetails(moduleData)) : m
+          ));
+        } catch (error) {
+          // Keep the stored details; checks that need the missing fields are skipped
+        }
+      });
+  }, [selectedModules, fetchModuleDetails, setSelectedModulesUntracked]);
 
   useEffect(() => {
-    fetchModules();
-  }, [fetchModules]);
+    if (keyboardFocusRef.current === null) return;
+    const card = document.querySelector(`[data-module-id="${keyboardFocusRef.current}"]`);
+    keyboardFocusRef.current = null;
+    if (card) card.focus();
+  }, [selectedModules, selectedYear]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const tag = e.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || e.target.isContentEditable) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // Modules added offline in an earlier session get confirmed as soon as this one starts
+  const provisionalCheckedRef = useRef(false);
+  useEffect(() => {
+    if (provisionalCheckedRef.current) return;
+    provisionalCheckedRef.current = true;
+    refreshProvisionalModules();
+  }, [refreshProvisionalModules]);
+
+  useEffect(() => {
+    window.addEventListener('online', retryConnection);
+    return () => window.removeEventListener('online', retryConnection);
+  }, [retryConnection]);
 
   useEffect(() => {
     const allYears = Object.keys(semestersByYear);
@@ -1399,44 +4882,37 @@ const NUSGPACalculator = () => {
       const defaultYear = allYears.includes(currentYear) ? currentYear : allYears[0];
       
       if (visibleYears.length === 0) {
-        setVisibleYears([defaultYear]);
+        setVisibleYearsUntracked([defaultYear]);
         setSelectedYear(defaultYear);
       } else if (!selectedYear && visibleYears.length > 0) {
         setSelectedYear(visibleYears[0]);
       }
     }
-  }, [semestersByYear, visibleYears, selectedYear]);
+  }, [semestersByYear, visibleYears, selectedYear, setSelectedYear, setVisibleYearsUntracked]);
 
   useEffect(() => {
     if (selectedYear && semestersByYear[selectedYear]) {
       const regularSemesters = semestersByYear[selectedYear].filter(sem => !sem.includes('ST'));
       const missingRegularSemesters = regularSemesters.filter(sem => !activeSemesters.includes(sem));
       if (missingRegularSemesters.length > 0) {
-        setActiveSemesters(prev => [...prev, ...missingRegularSemesters]);
+        setActiveSemestersUntracked(prev => [...prev, ...missingRegularSemesters]);
       }
     }
-  }, [selectedYear, semestersByYear, activeSemesters]);
-
-  if (apiError) {
-    return (
-      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
-        <div className="bg-white p-8 rounded-lg shadow-lg max-w-md">
-          <h2 className="text-xl font-bold text-red-600 mb-4">Connection Error</h2>
-          <p className="text-gray-600 mb-4">{apiError}</p>
-          <button 
-            onClick={fetchModules} 
-            className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600"
-          >
-            Retry
-          </button>
-        </div>
-      </div>
-    );
-  }
+  }, [selectedYear, semestersByYear, activeSemesters, setActiveSemestersUntracked]);
 
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col lg:flex-row transition-colors">
       <Sidebar
+        plans={plans}
+        activePlanId={activePlanId}
+        planActions={{
+          onSwitchPlan: switchPlan,
+          onCreatePlan: createPlan,
+          onDuplicatePlan: duplicatePlan,
+          onRenamePlan: renamePlan,
+          onDeletePlan: deletePlan,
+          onComparePlans: () => setShowPlanComparison(true)
+        }}
         academicSettings={academicSettings}
         onUpdateMatricYear={updateMatricYear}
         visibleYears={visibleYears}
@@ -1445,13 +4921,33 @@ const NUSGPACalculator = () => {
         onRemoveYear={removeAcademicYear}
         onAddYear={addAcademicYear}
         semestersByYear={semestersByYear}
+        modulesBySemester={modulesBySemester}
         currentYearSemesters={currentYearSemesters}
         activeSemesters={activeSemesters}
         onAddSemester={addSemester}
+        onExportPlan={exportPlan}
+        onImportPlan={importPlan}
+        onSharePlan={() => setShowShareDialog(true)}
+        history={planHistory}
       />
 
       <div className="flex-1 pl-2 pr-4 py-4 relative">
         <div className="max-w-5xl mr-auto ml-3">
+          {(apiError || isOffline) && (
+            <div className="mb-4 flex items-center gap-2 bg-yellow-50 border border-yellow-300 text-yellow-800 text-sm px-4 py-2 rounded-lg">
+              <AlertTriangle className="w-4 h-4 text-yellow-600" />
+              <div className="flex-1">
+                {apiError || 'You are offline. Search and add are using cached module data.'}
+              </div>
+              <button
+                onClick={retryConnection}
+                className="font-medium underline hover:text-yellow-600 transition-colors"
+              >
+                Retry
+              </button>
+            </div>
+          )}
+
           <div className="flex flex-col lg:flex-row gap-2 md:gap-4 mb-6">
             <div className="flex flex-col md:flex-row gap-2 md:gap-4 flex-1">
               {activeCurrentYearSemesters.filter(sem => !sem.includes('ST')).slice(0, 2).map((semester) => (
@@ -1461,9 +4957,11 @@ const NUSGPACalculator = () => {
                     modules={modulesBySemester[semester] || []}
                     onRemoveSemester={removeSemester}
                     onRemoveModule={removeModule}
+                    onEditModule={setEditingModuleId}
                     onLetterGradeUpdate={updateLetterGrade}
                     onToggleSU={toggleSU}
-                    onMoveModule={moveModule}
+                    onKeyboardMove={moveModuleByKey}
+                    drag={moduleDrag}
                     showModuleSearch={showModuleSearch}
                     setShowModuleSearch={setShowModuleSearch}
                     searchTerm={searchTerm}
@@ -1471,10 +4969,17 @@ const NUSGPACalculator = () => {
                     loading={loading}
                     onSearch={handleSearch}
                     onAddModule={addModule}
+                    onAddCustomModule={addCustomModule}
                     calculateSemesterGPA={calculateSemesterGPA}
                     calculateSemesterSU={calculateSemesterSU}
-                    selectedModules={selectedModules}
+                    selectedModules={scheduledModules}
+                    getModuleWarnings={getModuleWarnings}
+                    getModulePillar={getModulePillar}
+                    getModuleAttempt={getModuleAttempt}
+                    workloadThreshold={workloadThreshold}
+                    unitLimits={unitLimits}
                     hideGrades={hideGrades}
+                    gradingScheme={gradingScheme}
                   />
                 </div>
               ))}
@@ -1483,10 +4988,21 @@ const NUSGPACalculator = () => {
               <GPASummary 
                 gpaData={gpaData} 
                 suData={suData}
+                honours={honours}
+                remainingModules={remainingModules}
+                suOptimisation={suOptimisation}
+                onApplySUOptimisation={applySUOptimisation}
                 hideGrades={hideGrades} 
                 onToggleHideGrades={toggleHideGrades}
                 academicSettings={academicSettings}
                 onToggleAPCs={toggleAPCs}
+                gradingScheme={gradingScheme}
+                onSelectGradingScheme={selectGradingScheme}
+                workloadThreshold={workloadThreshold}
+                onChangeWorkloadThreshold={changeWorkloadThreshold}
+                unitLimits={unitLimits}
+                onChangeUnitLimit={changeUnitLimit}
+                unscheduledUnits={unscheduledUnits}
               />
             </div>
           </div>
@@ -1499,9 +5015,11 @@ const NUSGPACalculator = () => {
                 modules={modulesBySemester[semester] || []}
                 onRemoveSemester={removeSemester}
                 onRemoveModule={removeModule}
+                onEditModule={setEditingModuleId}
                 onLetterGradeUpdate={updateLetterGrade}
                 onToggleSU={toggleSU}
-                onMoveModule={moveModule}
+                onKeyboardMove={moveModuleByKey}
+                drag={moduleDrag}
                 showModuleSearch={showModuleSearch}
                 setShowModuleSearch={setShowModuleSearch}
                 searchTerm={searchTerm}
@@ -1509,10 +5027,17 @@ const NUSGPACalculator = () => {
                 loading={loading}
                 onSearch={handleSearch}
                 onAddModule={addModule}
+                onAddCustomModule={addCustomModule}
                 calculateSemesterGPA={calculateSemesterGPA}
                 calculateSemesterSU={calculateSemesterSU}
-                selectedModules={selectedModules}
+                selectedModules={scheduledModules}
+                getModuleWarnings={getModuleWarnings}
+                getModulePillar={getModulePillar}
+                getModuleAttempt={getModuleAttempt}
+                workloadThreshold={workloadThreshold}
+                unitLimits={unitLimits}
                 hideGrades={hideGrades}
+                gradingScheme={gradingScheme}
               />
             ))}
 
@@ -1527,9 +5052,11 @@ const NUSGPACalculator = () => {
                   modules={modulesBySemester[semester] || []}
                   onRemoveSemester={removeSemester}
                   onRemoveModule={removeModule}
+                  onEditModule={setEditingModuleId}
                   onLetterGradeUpdate={updateLetterGrade}
                   onToggleSU={toggleSU}
-                  onMoveModule={moveModule}
+                  onKeyboardMove={moveModuleByKey}
+                  drag={moduleDrag}
                   showModuleSearch={showModuleSearch}
                   setShowModuleSearch={setShowModuleSearch}
                   searchTerm={searchTerm}
@@ -1537,34 +5064,195 @@ const NUSGPACalculator = () => {
                   loading={loading}
                   onSearch={handleSearch}
                   onAddModule={addModule}
+                  onAddCustomModule={addCustomModule}
                   calculateSemesterGPA={calculateSemesterGPA}
                   calculateSemesterSU={calculateSemesterSU}
-                  selectedModules={selectedModules}
+                  selectedModules={scheduledModules}
+                  getModuleWarnings={getModuleWarnings}
+                  getModulePillar={getModulePillar}
+                  getModuleAttempt={getModuleAttempt}
+                  workloadThreshold={workloadThreshold}
+                  unitLimits={unitLimits}
                   isSpecialTerm={true}
                   hideGrades={hideGrades}
+                  gradingScheme={gradingScheme}
                 />
               ));
             })()}
           </div>
+
+          <ModulePoolPanel
+            modules={unassignedModules}
+            onKeyboardMove={moveModuleByKey}
+            drag={moduleDrag}
+            onRemoveModule={removeModule}
+            onEditModule={setEditingModuleId}
+            showModuleSearch={showModuleSearch}
+            setShowModuleSearch={setShowModuleSearch}
+            searchTerm={searchTerm}
+            searchResults={searchResults}
+            loading={loading}
+            onSearch={handleSearch}
+            onAddModule={addModule}
+            selectedModules={selectedModules}
+            gradingScheme={gradingScheme}
+          />
+
+          {planIssues.length > 0 && <PlanIssuesPanel issues={planIssues} />}
+
+          {gpaTrend.length > 0 && (
+            <GPATrendPanel trend={gpaTrend} maxPoint={gradingScheme.maxPoint} hideGrades={hideGrades} />
+          )}
+
+          <DegreeRequirementsPanel
+            programmes={programmes}
+            programmeId={academicSettings.programmeId}
+            selectedModules={scheduledModules}
+            onSelectProgramme={selectProgramme}
+            onLoadProgramme={loadProgramme}
+          />
+
+          <GEProgressPanel matricYear={academicSettings.matricYear} selectedModules={scheduledModules} />
         </div>
         
         <NUSModsAcknowledgement />
 
         <SUHint showHint={showHint} onHide={() => setShowHint(false)} />
+        <p id="module-card-help" className="sr-only">
+          Arrow keys move the course between and within semesters. Type a grade to set it, or press Enter 
+          to pick one. {SU_TOGGLE_KEY} toggles S/U, Backspace clears the grade and Delete removes the course.
+        </p>
+        <div className="sr-only" aria-live="polite" role="status">{announcement}</div>
+        <ImportPlanDialog
+          pendingImport={pendingImport}
+          onReplace={replaceWithImport}
+          onMerge={mergeWithImport}
+          onCancel={() => setPendingImport(null)}
+        />
+        <MatricYearChangeDialog
+          pendingChange={pendingMatricChange}
+          onShift={() => applyMatricYearChange(pendingMatricChange.toYear, 'shift')}
+          onKeepUnassigned={() => applyMatricYearChange(pendingMatricChange.toYear, 'unassign')}
+          onCancel={() => setPendingMatricChange(null)}
+        />
+        <ShareDialog
+          isOpen={showShareDialog}
+          hideGrades={hideGrades}
+          onCreateLink={createShareLink}
+          onClose={() => setShowShareDialog(false)}
+        />
+        {editingModule && (
+          <ModuleEditDialog
+            key={editingModule.id}
+            module={editingModule}
+            onSave={saveModuleEdit}
+            onCancel={() => setEditingModuleId(null)}
+          />
+        )}
+        <PlanComparisonDialog
+          isOpen={showPlanComparison}
+          plans={plansWithData}
+          activePlanId={activePlanId}
+          hideGrades={hideGrades}
+          onClose={() => setShowPlanComparison(false)}
+        />
         <NotificationPopup 
           message={notificationMessage} 
           isVisible={showNotification} 
           onHide={hideNotification} 
+          action={notificationAction}
         />
       </div>
     </div>
   );
 };
 
-const App = () => (
-  <ErrorBoundary>
-    <NUSGPACalculator />
-  </ErrorBoundary>
-);
+const App = () => {
+  const [sharedPlan, setSharedPlan] = useState(null);
+  const [isReadingSharedPlan, setIsReadingSharedPlan] = useState(() => 
+    window.location.hash.startsWith(SHARE_HASH_PREFIX)
+  );
+
+  useEffect(() => {
+    const readSharedPlan = async () => {
+      if (!window.location.hash.startsWith(SHARE_HASH_PREFIX)) {
+        setSharedPlan(null);
+        return;
+      }
+      setIsReadingSharedPlan(true);
+      setSharedPlan(await decodeSharedPlan(window.location.hash));
+      setIsReadingSharedPlan(false);
+    };
+
+    readSharedPlan();
+    window.addEventListener('hashchange', readSharedPlan);
+    return () => window.removeEventListener('hashchange', readSharedPlan);
+  }, []);
+
+  const closeSharedPlan = useCallback(() => {
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    setSharedPlan(null);
+  }, []);
+
+  const sharedPlanCopy = useMemo(() => sharedPlan && prepareSharedPlanCopy(sharedPlan), [sharedPlan]);
+
+  const copySharedPlan = useCallback(() => {
+    copyPlanIntoStorage(sharedPlanCopy);
+    closeSharedPlan();
+  }, [sharedPlanCopy, closeSharedPlan]);
+
+  if (isReadingSharedPlan) return null;
 
+  return (
+    <ErrorBoundary>
+      {sharedPlan ? (
+        <SharedPlanViewer 
+          sharedPlan={sharedPlan} 
+          copySkipped={sharedPlanCopy.skipped} 
+          onCopy={copySharedPlan} 
+          onClose={closeSharedPlan} 
+        />
+      ) : (
+        <NUSGPACalculator />
+      )}
+    </ErrorBoundary>
+  );
+};
+
+export {
+  createModuleCache,
+  useModuleAPI,
+  validatePlanImport,
+  mergePlans,
+  encodeSharedPlan,
+  decodeSharedPlan,
+  checkModuleRequisites,
+  evaluateDegreeRequirements,
+  validateProgramme,
+  getGERuleSet,
+  evaluateGEProgress,
+  projectHonoursClass,
+  calculateTargetGrades,
+  optimiseSUChoices,
+  isSUEligible,
+  getGradingScheme,
+  useGPACalculations,
+  applyModuleEdit,
+  mergeModuleDetails,
+  keepFetchedDetails,
+  MODULE_DETAILS_VERSION,
+  getModuleAttempts,
+  getAttemptStatus,
+  checkAttemptMove,
+  buildGPATrend,
+  summariseWorkload,
+  checkSemesterLoad,
+  findExamClashes,
+  describeExamClash,
+  usePlanHistory,
+  findOrphanedModules,
+  changePlanMatricYear,
+  matchTypedGrade,
+  useModuleDrag
+};
 export default App;
\ No newline at end of file
@@ -1,8 +1,1245 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { useState } from 'react';
+import { render, screen, within, renderHook, act, fireEvent, waitFor } from '@testing-library/react';
+import { IDBFactory } from 'fake-indexeddb';
+import { TextEncoder, TextDecoder } from 'util';
+import App, {
+  createModuleCache,
+  useModuleAPI,
+  validatePlanImport,
+  mergePlans,
+  encodeSharedPlan,
+  decodeSharedPlan,
+  checkModuleRequisites,
+  evaluateDegreeRequirements,
+  validateProgramme,
+  getGERuleSet,
+  evaluateGEProgress,
+  projectHonoursClass,
+  calculateTargetGrades,
+  optimiseSUChoices,
+  isSUEligible,
+  getGradingScheme,
+  useGPACalculations,
+  applyModuleEdit,
+  mergeModuleDetails,
+  keepFetchedDetails,
+  MODULE_DETAILS_VERSION,
+  getModuleAttempts,
+  getAttemptStatus,
+  checkAttemptMove,
+  buildGPATrend,
+  summariseWorkload,
+  checkSemesterLoad,
+  findExamClashes,
+  describeExamClash,
+  usePlanHistory,
+  findOrphanedModules,
+  changePlanMatricYear,
+  matchTypedGrade,
+  useModuleDrag
+} from './App';
+import bcompComputerScience from './programmes/bcomp-cs.json';
 
 test('renders learn react link', () => {
   render(<App />);
   const linkElement = screen.getByText(/learn react/i);
   expect(linkElement).toBeInTheDocument();
 });
+
+// Renders the planner from saved plan state (keys without the "nus-gpa-" prefix). NUSMods serves
+// `catalogues` by academic year and `details` by module code; anything else is a 404.
+const renderPlanner = async (storage, catalogues = {}, details = {}) => {
+  Object.entries(storage).forEach(([key, value]) => localStorage.setItem(`nus-gpa-${key}`, JSON.stringify(value)));
+  global.fetch = jest.fn((url) => {
+    const [, acadYear] = /\/(\d{4}-\d{4})\/moduleList\.json$/.exec(url) || [];
+    const [, moduleCode] = /\/modules\/(\w+)\.json$/.exec(url) || [];
+    const data = acadYear ? catalogues[acadYear] : details[moduleCode];
+    return Promise.resolve(data
+      ? { ok: true, status: 200, json: () => Promise.resolve(data) }
+      : { ok: false, status: 404, statusText: 'Not Found' });
+  });
+  render(<App />);
+  // Let the catalogue requests started on mount settle
+  await act(() => new Promise(resolve => setTimeout(resolve, 0)));
+};
+
+// The planner logs failed NUSMods requests. Tests fail them on purpose (a 404 for anything renderPlanner
+// does not serve, or a rejected fetch to go offline), so only those logs are dropped
+const isStubbedRequestFailure = (message, error) =>
+  /^Error (fetching|refreshing) (modules|module details):$/.test(message) && 
+  (/^HTTP 404\b/.test(error?.message) || error?.message === 'Failed to fetch');
+
+beforeEach(() => {
+  const logError = console.error;
+  jest.spyOn(console, 'error').mockImplementation((...args) => {
+    if (!isStubbedRequestFailure(...args)) logError(...args);
+  });
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+  localStorage.clear();
+  delete global.fetch;
+});
+
+const savedModules = () => JSON.parse(localStorage.getItem('nus-gpa-selectedModules'));
+
+describe('module catalogue cache', () => {
+  const moduleList = [{ moduleCode: 'CS1010S', title: 'Programming Methodology' }];
+  const moduleDetails = { moduleCode: 'CS1010S', title: 'Programming Methodology', moduleCredit: '4' };
+
+  const jsonResponse = (data) => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(data) });
+
+  let cache;
+
+  beforeEach(() => {
+    cache = createModuleCache(new IDBFactory());
+  });
+
+  test('stores entries with a version and timestamp', async () => {
+    await cache.set('moduleList/2024-2025', moduleList);
+    const entry = await cache.get('moduleList/2024-2025');
+
+    expect(entry.data).toEqual(moduleList);
+    expect(entry.version).toBe(1);
+    expect(typeof entry.timestamp).toBe('number');
+    expect(await cache.get('moduleList/2023-2024')).toBeNull();
+  });
+
+  test('treats a missing IndexedDB as an empty cache', async () => {
+    const noCache = createModuleCache(null);
+    await noCache.set('moduleList/2024-2025', moduleList);
+    expect(await noCache.get('moduleList/2024-2025')).toBeNull();
+  });
+
+  test('writes the fetched module list to the cache', async () => {
+    global.fetch = jest.fn(() => jsonResponse(moduleList));
+    const { result } = renderHook(() => useModuleAPI(cache));
+
+    await act(() => result.current.fetchModules('2024-2025'));
+
+    expect(result.current.moduleLists['2024-2025']).toEqual(moduleList);
+    expect((await cache.get('moduleList/2024-2025')).data).toEqual(moduleList);
+  });
+
+  test('serves the cached module list when the network is down', async () => {
+    await cache.set('moduleList/2024-2025', moduleList);
+    global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+    const { result } = renderHook(() => useModuleAPI(cache));
+
+    await act(() => result.current.fetchModules('2024-2025'));
+
+    expect(result.current.moduleLists['2024-2025']).toEqual(moduleList);
+    expect(result.current.isOffline).toBe(true);
+    expect(result.current.apiError).toBeNull();
+  });
+
+  test('reports an error only when there is nothing cached', async () => {
+    global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+    const { result } = renderHook(() => useModuleAPI(cache));
+
+    await act(() => result.current.fetchModules('2024-2025'));
+
+    expect(result.current.moduleLists['2024-2025']).toBeUndefined();
+    expect(result.current.apiError).toMatch(/Failed to load module list/);
+  });
+
+  test('returns cached module details offline', async () => {
+    await cache.set('module/2024-2025/CS1010S', moduleDetails);
+    global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+    const { result } = renderHook(() => useModuleAPI(cache));
+
+    let details;
+    await act(async () => {
+      details = await result.current.fetchModuleDetails('CS1010S', '2024-2025');
+    });
+
+    expect(details).toEqual(moduleDetails);
+  });
+
+  test('leaves modules added offline out of the GPA until their units are confirmed', () => {
+    const modules = [
+      { id: 1, moduleCode: 'CS1101S', moduleCredit: '4', letterGrade: 'A', isSU: false, semester: 'AY24/25 Sem 1' },
+      { id: 2, moduleCode: 'CS1010S', moduleCredit: '4', letterGrade: 'C', isSU: false, semester: 'AY24/25 Sem 1', isProvisional: true }
+    ];
+    const { result } = renderHook(() => useGPACalculations(modules));
+
+    expect(result.current).toMatchObject({ gpa: 5, gradedMCs: 4, totalMCs: 4 });
+  });
+
+  test('confirms modules added offline once the planner opens online', async () => {
+    await renderPlanner({
+      academicSettings: { matricYear: 'AY24/25', hasAPCs: false },
+      selectedModules: [
+        { id: 1, moduleCode: 'CS1010S', title: 'Programming Methodology', moduleCredit: '4', letterGrade: '', isSU: false, semester: 'AY24/25 Sem 1', isProvisional: true }
+      ]
+    }, {}, { CS1010S: { ...moduleDetails, moduleCredit: '2' } });
+
+    await waitFor(() => expect(savedModules()[0]).toMatchObject({ moduleCredit: '2', isProvisional: false }));
+  });
+});
+
+describe('plans', () => {
+  const settings = { matricYear: 'AY24/25', hasAPCs: false };
+  const cs1101s = { id: 1, moduleCode: 'CS1101S', title: 'Programming Methodology', moduleCredit: '4', letterGrade: 'A', isSU: false, semester: 'AY24/25 Sem 1' };
+  const planSelect = (name) => screen.getByDisplayValue(name);
+
+  test('creates an empty plan, renames it and switches back', async () => {
+    await renderPlanner({ academicSettings: settings, selectedModules: [cs1101s] });
+
+    fireEvent.click(screen.getByTitle('New plan'));
+    expect(planSelect('Plan 2')).toBeInTheDocument();
+    expect(screen.queryByLabelText(/^CS1101S/)).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTitle('Rename plan'));
+    const nameInput = screen.getByLabelText('Plan name');
+    fireEvent.change(nameInput, { target: { value: '  Exchange year  ' } });
+    fireEvent.blur(nameInput);
+    expect(planSelect('Exchange year')).toBeInTheDocument();
+
+    fireEvent.change(planSelect('Exchange year'), { target: { value: 'plan-default' } });
+    expect(planSelect('Main plan')).toBeInTheDocument();
+    expect(screen.getByLabelText(/^CS1101S/)).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('nus-gpa-plans')).map(plan => plan.name)).toEqual(['Main plan', 'Exchange year']);
+  });
+
+  test('duplicates the active plan and deletes it after confirming', async () => {
+    await renderPlanner({ academicSettings: settings, selectedModules: [cs1101s] });
+
+    fireEvent.click(screen.getByTitle('Duplicate plan'));
+    expect(planSelect('Main plan (copy)')).toBeInTheDocument();
+    expect(screen.getByLabelText(/^CS1101S/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTitle('Delete plan'));
+    fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+    expect(planSelect('Main plan')).toBeInTheDocument();
+    expect(screen.getByTitle('Delete plan')).toBeDisabled();
+    expect(JSON.parse(localStorage.getItem('nus-gpa-activePlanId'))).toBe('plan-default');
+  });
+
+  test('compares the active plan with another side by side', async () => {
+    await renderPlanner({
+      academicSettings: settings,
+      selectedModules: [cs1101s],
+      activePlanId: 'plan-default',
+      plans: [
+        { id: 'plan-default', name: 'Main plan', data: null },
+        {
+          id: 'plan-safe',
+          name: 'Safe plan',
+          data: { 
+            selectedModules: [{ ...cs1101s, letterGrade: 'B+' }, { ...cs1101s, id: 2, moduleCode: 'MA1521', letterGrade: '' }], 
+            activeSemesters: ['AY24/25 Sem 1'], academicSettings: settings, visibleYears: ['AY24/25'], selectedYear: 'AY24/25' 
+          }
+        }
+      ]
+    });
+
+    fireEvent.click(screen.getByTitle('Compare plans'));
+
+    expect(screen.getByRole('heading', { name: 'Compare plans' })).toBeInTheDocument();
+    expect(screen.getByText('AY24/25 • 1 modules')).toBeInTheDocument();
+    expect(screen.getByText('AY24/25 • 2 modules')).toBeInTheDocument();
+    expect(screen.getByText('4.00')).toBeInTheDocument();
+  });
+});
+
+describe('catalogue by academic year', () => {
+  const listFor = (...codes) => codes.map(moduleCode => ({ moduleCode, title: moduleCode }));
+  const planned = (id, moduleCode, semester) => 
+    ({ id, moduleCode, title: moduleCode, moduleCredit: '4', letterGrade: '', isSU: false, semester });
+
+  test('falls back to the default catalogue for years NUSMods has not published', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 404, statusText: 'Not Found' }));
+    const { result } = renderHook(() => useModuleAPI(createModuleCache(null)));
+
+    await act(() => result.current.fetchModules('2026-2027'));
+
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/2026-2027/moduleList.json'));
+    expect(result.current.resolveAcadYear('2026-2027')).toBe('2024-2025');
+    expect(result.current.resolveAcadYear('2023-2024')).toBe('2023-2024');
+    expect(result.current.apiError).toBeNull();
+
+    await act(() => result.current.fetchModuleDetails('CS1010S', '2026-2027').catch(() => {}));
+    expect(global.fetch).toHaveBeenLastCalledWith(expect.stringContaining('/2024-2025/modules/CS1010S.json'));
+  });
+
+  const renderYears = (selectedYear) => renderPlanner({
+    academicSettings: { matricYear: 'AY23/24', hasAPCs: false },
+    activeSemesters: ['AY23/24 Sem 1', 'AY26/27 Sem 1'],
+    visibleYears: ['AY23/24', 'AY26/27'],
+    selectedYear,
+    selectedModules: [
+      planned(1, 'CS1010S', 'AY23/24 Sem 1'),
+      planned(2, 'CS1101S', 'AY23/24 Sem 1'),
+      planned(3, 'CS1010S', 'AY26/27 Sem 1'),
+      planned(4, 'CS2040S', 'AY26/27 Sem 1')
+    ]
+  }, {
+    '2023-2024': listFor('CS1101S'),
+    '2024-2025': listFor('CS1101S', 'CS1010S')
+  });
+
+  test("warns about modules missing from their semester's catalogue", async () => {
+    await renderYears('AY23/24');
+
+    expect(await screen.findAllByText('Not in AY23/24')).toHaveLength(1);
+    expect(screen.getByLabelText(/^CS1010S/)).toHaveTextContent('Not in AY23/24');
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/2023-2024/moduleList.json'));
+  });
+
+  test('checks unpublished years against the default catalogue', async () => {
+    await renderYears('AY26/27');
+
+    expect(await screen.findAllByText('Not in AY26/27')).toHaveLength(1);
+    expect(screen.getByLabelText(/^CS2040S/)).toHaveTextContent('Not in AY26/27');
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/2026-2027/moduleList.json'));
+  });
+});
+
+describe('plan import', () => {
+  const planFile = {
+    schemaVersion: 1,
+    selectedModules: [
+      { id: 1, moduleCode: 'CS1101S', title: 'Programming Methodology', moduleCredit: '4', letterGrade: 'A', semester: 'AY24/25 Sem 1' },
+      { id: 2, moduleCode: 'MA1521', title: 'Calculus for Computing', moduleCredit: '4', letterGrade: 'Z', semester: 'AY24/25 Sem 1' },
+      { id: 3, moduleCode: 'CS1101S', title: 'Programming Methodology', moduleCredit: '4', letterGrade: 'B', semester: 'AY24/25 Sem 1' },
+      { id: 4, moduleCode: 'CS2030S', title: 'Programming Methodology II', moduleCredit: '4', letterGrade: '', semester: 'AY12/13 Sem 1' }
+    ],
+    activeSemesters: ['AY24/25 Sem 1', 'AY24/25 Sem 2'],
+    academicSettings: { matricYear: 'AY24/25', hasAPCs: false },
+    visibleYears: ['AY24/25'],
+    preferences: { selectedYear: 'AY24/25', showHint: false, hideGrades: true }
+  };
+
+  test('rejects files that are not plan exports', () => {
+    expect(validatePlanImport({ foo: 'bar' }).error).toBeDefined();
+    expect(validatePlanImport({ ...planFile, schemaVersion: 99 }).error).toMatch(/Unsupported/);
+  });
+
+  test('reports bad grades, unknown semesters and duplicate codes', () => {
+    const { plan, issues } = validatePlanImport(planFile);
+
+    expect(plan.selectedModules.map(m => m.moduleCode)).toEqual(['CS1101S', 'MA1521']);
+    expect(plan.selectedModules[1].letterGrade).toBe('');
+    expect(plan.preferences).toEqual({ selectedYear: 'AY24/25', showHint: false, hideGrades: true });
+    expect(issues).toEqual([
+      'MA1521: invalid grade "Z", grade cleared',
+      'CS1101S: duplicate module in AY24/25 Sem 1, skipped',
+      'CS2030S: unknown semester "AY12/13 Sem 1", skipped'
+    ]);
+  });
+
+  test('keeps modules that are planned but not yet scheduled', () => {
+    const { plan, issues } = validatePlanImport({
+      ...planFile,
+      selectedModules: [{ id: 5, moduleCode: 'GEA1000', title: 'Quantitative Reasoning with Data', moduleCredit: '4', letterGrade: '', semester: 'Unassigned' }]
+    });
+
+    expect(issues).toEqual([]);
+    expect(plan.selectedModules.map(m => m.semester)).toEqual(['Unassigned']);
+    expect(plan.activeSemesters).toEqual(['AY24/25 Sem 1', 'AY24/25 Sem 2']);
+  });
+
+  test('merges without duplicating modules already in the plan', () => {
+    const { plan: imported } = validatePlanImport(planFile);
+    const current = {
+      selectedModules: [{ id: 10, moduleCode: 'CS1101S', moduleCredit: '4', letterGrade: 'B', semester: 'AY24/25 Sem 1' }],
+      activeSemesters: ['AY24/25 Sem 1'],
+      academicSettings: { matricYear: 'AY24/25', hasAPCs: true },
+      visibleYears: ['AY24/25']
+    };
+
+    const { plan, skipped } = mergePlans(current, imported);
+
+    expect(plan.selectedModules.map(m => m.moduleCode)).toEqual(['CS1101S', 'MA1521']);
+    expect(plan.selectedModules[0].letterGrade).toBe('B');
+    expect(plan.academicSettings.hasAPCs).toBe(true);
+    expect(skipped).toEqual(['CS1101S (already in your plan)']);
+  });
+});
+
+describe('share links', () => {
+  const plan = {
+    selectedModules: [
+      { id: 1, moduleCode: 'CS1101S', title: 'Programming Methodology', moduleCredit: '4', letterGrade: 'A-', isSU: false, semester: 'AY24/25 Sem 1' },
+      { id: 2, moduleCode: 'MA1521', title: 'Calculus for Computing', moduleCredit: '4', letterGrade: 'B', isSU: true, semester: 'AY24/25 ST1' }
+    ],
+    academicSettings: { matricYear: 'AY24/25', hasAPCs: true, gradingSchemeId: 'nus' }
+  };
+
+  beforeAll(() => {
+    global.TextEncoder = TextEncoder;
+    global.TextDecoder = TextDecoder;
+  });
+
+  test('round-trips modules, semesters and grades through the URL hash', async () => {
+    const hash = await encodeSharedPlan(plan, { includeGrades: true });
+    const shared = await decodeSharedPlan(hash);
+
+    expect(hash.startsWith('#plan=')).toBe(true);
+    expect(shared.academicSettings).toEqual(plan.academicSettings);
+    expect(shared.activeSemesters).toEqual(['AY24/25 Sem 1', 'AY24/25 ST1']);
+    expect(shared.gradesHidden).toBe(false);
+    expect(shared.selectedModules.map(({ moduleCode, letterGrade, isSU, semester }) => ({ moduleCode, letterGrade, isSU, semester })))
+      .toEqual([
+        { moduleCode: 'CS1101S', letterGrade: 'A-', isSU: false, semester: 'AY24/25 Sem 1' },
+        { moduleCode: 'MA1521', letterGrade: 'B', isSU: true, semester: 'AY24/25 ST1' }
+      ]);
+  });
+
+  test('strips grades when asked to share the module sequence only', async () => {
+    const shared = await decodeSharedPlan(await encodeSharedPlan(plan, { includeGrades: false }));
+
+    expect(shared.gradesHidden).toBe(true);
+    expect(shared.selectedModules.every(module => module.letterGrade === '' && !module.isSU)).toBe(true);
+  });
+
+  test('keeps transfer and exchange credit as custom modules', async () => {
+    const transfer = { 
+      id: 3, moduleCode: 'EXC1', title: 'Transfer credit', moduleCredit: '4', letterGrade: '', isSU: false, 
+      semester: 'AY24/25 Sem 1', isCustom: true, creditType: 'transfer', mappedCode: 'CS1231S' 
+    };
+    const shared = await decodeSharedPlan(await encodeSharedPlan({ ...plan, selectedModules: [...plan.selectedModules, transfer] }, { includeGrades: true }));
+
+    expect(shared.selectedModules[0]).not.toHaveProperty('isCustom');
+    expect(shared.selectedModules[2]).toMatchObject({ isCustom: true, creditType: 'transfer', mappedCode: 'CS1231S', letterGrade: '' });
+  });
+
+  test('still reads links from before custom modules were shared', async () => {
+    const payload = { v: 1, y: 'AY24/25', a: 0, s: 'nus', g: 1, m: [['CS1101S', 'Programming Methodology', 4, 0, 'A-', 0]] };
+    const shared = await decodeSharedPlan(`#plan=j.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`);
+
+    expect(shared.selectedModules).toEqual([expect.objectContaining({ moduleCode: 'CS1101S', letterGrade: 'A-', isSU: false, semester: 'AY24/25 Sem 1' })]);
+    expect(shared.selectedModules[0]).not.toHaveProperty('isCustom');
+  });
+
+  test('lists the modules a copy into the planner would skip', async () => {
+    window.location.hash = (await encodeSharedPlan({ 
+      ...plan, 
+      academicSettings: { ...plan.academicSettings, matricYear: 'AY21/22' },
+      selectedModules: [{ ...plan.selectedModules[0], semester: 'AY21/22 Sem 1' }, plan.selectedModules[1]]
+    }, { includeGrades: false })).substring(1);
+    await renderPlanner({ academicSettings: plan.academicSettings, selectedModules: [{ ...plan.selectedModules[1], id: 9 }] });
+
+    expect(await screen.findByText('Copying will skip 2 modules')).toBeInTheDocument();
+    expect(screen.getByText('CS1101S (AY21/22 Sem 1 is outside your matriculation years)')).toBeInTheDocument();
+    expect(screen.getByText('MA1521 (already in your plan)')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Copy into my planner' }));
+    // The planner opens and requests its catalogues
+    await act(() => new Promise(resolve => setTimeout(resolve, 0)));
+    expect(savedModules()).toHaveLength(1);
+    expect(window.location.hash).toBe('');
+  });
+
+  test('ignores malformed links', async () => {
+    console.error.mockImplementationOnce(() => {});
+    expect(await decodeSharedPlan('#plan=j.not-json')).toBeNull();
+    expect(console.error).toHaveBeenCalledWith('Failed to read shared plan:', expect.any(Error));
+    expect(await decodeSharedPlan('#other')).toBeNull();
+  });
+});
+
+describe('module requisites', () => {
+  const allSemesters = ['AY24/25 Sem 1', 'AY24/25 Sem 2', 'AY24/25 ST1', 'AY24/25 ST2', 'AY25/26 Sem 1'];
+  const cs2040s = {
+    id: 3,
+    moduleCode: 'CS2040S',
+    semester: 'AY24/25 Sem 2',
+    prereqTree: { and: [{ or: ['CS1231:D', 'CS1231S:D'] }, { or: ['CS1010%:D', 'CS1101S:D'] }] },
+    preclusion: 'CS2040, CS2040C, CS2040DE',
+    corequisite: ''
+  };
+
+  test('passes when prerequisites are taken in earlier semesters', () => {
+    const modules = [
+      { id: 1, moduleCode: 'CS1231S', semester: 'AY24/25 Sem 1', letterGrade: 'A' },
+      { id: 2, moduleCode: 'CS1010S', semester: 'AY24/25 Sem 1', letterGrade: '' },
+      cs2040s
+    ];
+    expect(checkModuleRequisites(cs2040s, modules, allSemesters)).toEqual([]);
+  });
+
+  test('names missing prerequisites, including ones taken in the same semester or failed', () => {
+    const modules = [
+      { id: 1, moduleCode: 'CS1231S', semester: 'AY24/25 Sem 2', letterGrade: '' },
+      { id: 2, moduleCode: 'CS1101S', semester: 'AY24/25 Sem 1', letterGrade: 'F' },
+      cs2040s
+    ];
+    expect(checkModuleRequisites(cs2040s, modules, allSemesters)).toEqual([{
+      label: 'Prerequisites',
+      detail: 'Not met before AY24/25 Sem 2: one of (CS1231 / CS1231S), one of (CS1010* / CS1101S)'
+    }]);
+  });
+
+  test('flags precluded modules anywhere in the plan', () => {
+    const module = { ...cs2040s, prereqTree: null };
+    const modules = [module, { id: 4, moduleCode: 'CS2040C', semester: 'AY25/26 Sem 1' }];
+    expect(checkModuleRequisites(module, modules, allSemesters)).toEqual([
+      { label: 'Precluded', detail: 'Precluded by CS2040C (AY25/26 Sem 1)' }
+    ]);
+  });
+});
+
+describe('degree requirements', () => {
+  const programme = {
+    id: 'test',
+    name: 'Test programme',
+    requirements: [
+      { id: 'total', type: 'totalUnits', name: 'Total units', minUnits: 16 },
+      { id: 'core', type: 'core', name: 'Core', modules: [['CS1101S', 'CS1010S'], 'CS2030S'] },
+      { id: 'depth', type: 'pool', name: 'CS depth', prefixes: ['CS'], minLevel: 3000, minUnits: 8 },
+      { id: 'level-4000', type: 'pool', name: 'Level-4000', prefixes: ['CS'], minLevel: 4000, minUnits: 4 },
+      { id: 'level-1000-cap', type: 'cap', name: 'Level-1000 cap', maxLevel: 1000, maxUnits: 4 }
+    ]
+  };
+  const module = (moduleCode, moduleCredit = '4', letterGrade = '') => ({ moduleCode, moduleCredit, letterGrade });
+  const byId = (evaluation) => Object.fromEntries(evaluation.requirements.map(r => [r.id, r]));
+
+  test('evaluates core, pool, level and cap rules', () => {
+    const evaluation = evaluateDegreeRequirements(programme, [
+      module('CS1010S'), module('MA1521'), module('CS2030S'), module('CS3230'), module('CS4234'), module('CS3219', '4', 'F')
+    ]);
+    const results = byId(evaluation);
+
+    expect(results.core).toMatchObject({ isMet: true, modules: ['CS1010S', 'CS2030S'] });
+    expect(results.depth).toMatchObject({ isMet: true, current: 8, modules: ['CS3230', 'CS4234'] });
+    expect(results['level-4000']).toMatchObject({ isMet: true, current: 4 });
+    expect(results['level-1000-cap']).toMatchObject({ current: 8, excessUnits: 4 });
+    expect(results.total).toMatchObject({ isMet: true, current: 16 });
+    expect(evaluation.isMet).toBe(true);
+  });
+
+  test('lists missing core modules and unmet pools', () => {
+    const evaluation = evaluateDegreeRequirements(programme, [module('CS2030S'), module('CS3230')]);
+    const results = byId(evaluation);
+
+    expect(results.core).toMatchObject({ isMet: false, missing: ['CS1101S / CS1010S'] });
+    expect(results.depth).toMatchObject({ isMet: false, current: 4 });
+    expect(results['level-4000'].isMet).toBe(false);
+    expect(evaluation.isMet).toBe(false);
+  });
+
+  test('does not count core modules towards pools', () => {
+    const withCoreDepth = { ...programme, requirements: [...programme.requirements, { id: 'algo', type: 'core', name: 'Algorithms', modules: ['CS3230'] }] };
+    const results = byId(evaluateDegreeRequirements(withCoreDepth, [module('CS3230'), module('CS3243')]));
+
+    expect(results.depth.modules).toEqual(['CS3243']);
+  });
+
+  test('validates rule files', () => {
+    expect(validateProgramme(bcompComputerScience)).toBeNull();
+    expect(validateProgramme({ id: 'x', name: 'X' })).toMatch(/requirements/);
+    expect(validateProgramme({ id: 'x', name: 'X', requirements: [{ id: 'a', type: 'gpa' }] })).toMatch(/Unknown requirement type "gpa"/);
+  });
+
+  test('rejects rules missing the fields their type needs', () => {
+    const withRule = (rule) => validateProgramme({ id: 'x', name: 'X', requirements: [{ id: 'a', ...rule }] });
+
+    expect(withRule({ type: 'constructor' })).toMatch(/Unknown requirement type "constructor"/);
+    expect(withRule({ type: 'core' })).toMatch(/module codes/);
+    expect(withRule({ type: 'core', modules: ['CS1101S', []] })).toMatch(/module codes/);
+    expect(withRule({ type: 'pool', minUnits: '20' })).toMatch(/minUnits/);
+    expect(withRule({ type: 'cap', maxUnits: 40, prefixes: 'CS' })).toMatch(/prefixes/);
+    expect(withRule({ type: 'pool', minUnits: 12, minLevel: '4000' })).toMatch(/minLevel/);
+    expect(withRule({ type: 'core', modules: ['CS1101S', ['MA1521', 'MA1102R']] })).toBeNull();
+  });
+
+  test('reports a malformed rule file instead of loading it', async () => {
+    await renderPlanner({ academicSettings: { matricYear: 'AY24/25', hasAPCs: false }, selectedModules: [] });
+    const ruleFile = { text: () => Promise.resolve(JSON.stringify({ id: 'bad', name: 'Bad rules', requirements: [{ id: 'core', type: 'core' }] })) };
+
+    fireEvent.change(screen.getByLabelText('Load rules'), { target: { files: [ruleFile] } });
+
+    expect(await screen.findByText('Requirement core needs a list of module codes or groups of alternative codes.')).toBeInTheDocument();
+    expect(screen.queryByText('Something went wrong')).not.toBeInTheDocument();
+    expect(localStorage.getItem('nus-gpa-customProgrammes')).toBe('[]');
+  });
+});
+
+describe('GE pillars', () => {
+  test('picks the rule set from the matriculation year', () => {
+    expect(getGERuleSet('AY21/22').id).toBe('common-curriculum');
+    expect(getGERuleSet('AY25/26').id).toBe('common-curriculum');
+    expect(getGERuleSet('AY20/21').id).toBe('general-education');
+  });
+
+  test('shows which module fulfils each pillar', () => {
+    const modules = [
+      { id: 1, moduleCode: 'GEA1000', semester: 'AY24/25 Sem 1', letterGrade: 'A' },
+      { id: 2, moduleCode: 'CS1101S', semester: 'AY24/25 Sem 1', letterGrade: '' },
+      { id: 3, moduleCode: 'GESS1025', semester: 'AY24/25 Sem 2', letterGrade: 'F' }
+    ];
+    const pillars = Object.fromEntries(
+      evaluateGEProgress(getGERuleSet('AY24/25'), modules).map(pillar => [pillar.id, pillar.modules.map(module => module.moduleCode)])
+    );
+
+    expect(pillars).toEqual({
+      cultures: [],
+      critique: [],
+      data: ['GEA1000'],
+      digital: ['CS1101S'],
+      singapore: [],
+      communities: [],
+      interdisciplinary: []
+    });
+  });
+
+  test('needs two interdisciplinary courses under the Common Curriculum', () => {
+    const course = (id, moduleCode) => ({ id, moduleCode, semester: 'AY24/25 Sem 1', letterGrade: '' });
+    const interdisciplinary = (modules) => 
+      evaluateGEProgress(getGERuleSet('AY24/25'), modules).find(pillar => pillar.id === 'interdisciplinary');
+
+    expect(interdisciplinary([course(1, 'HSI1000'), course(2, 'HSS2001')])).toMatchObject({ isFulfilled: false, count: 2 });
+    expect(interdisciplinary([course(1, 'HSH2002'), course(2, 'HSS2001')]).isFulfilled).toBe(true);
+    expect(getGERuleSet('AY20/21').pillars.some(pillar => pillar.id === 'interdisciplinary')).toBe(false);
+  });
+});
+
+describe('honours projection', () => {
+  test('maps the GPA to the class for the intake', () => {
+    const gpaData = { gpa: 4.2, gradedMCs: 40, totalPoints: 168 };
+
+    expect(projectHonoursClass(gpaData, 0, 'AY23/24').current.name).toBe('Honours (Distinction)');
+    expect(projectHonoursClass(gpaData, 0, 'AY20/21').current.name).toBe('Second Class Honours (Upper)');
+  });
+
+  test('works out the averages needed over the remaining planned units', () => {
+    const honours = projectHonoursClass({ gpa: 4.2, gradedMCs: 40, totalPoints: 168 }, 40, 'AY23/24');
+
+    expect(honours.next.shortName).toBe('Highest Distinction');
+    expect(honours.gapToNext).toBe(0.3);
+    expect(honours.averageToStay).toBeCloseTo(3.8);
+    expect(honours.averageToReachNext).toBeCloseTo(4.8);
+  });
+
+  test('has no class before any module is graded', () => {
+    const honours = projectHonoursClass({ gpa: 0, gradedMCs: 0, totalPoints: 0 }, 20, 'AY24/25');
+
+    expect(honours.current).toBeNull();
+    expect(honours.next.shortName).toBe('Pass');
+  });
+});
+
+describe('target GPA planner', () => {
+  const gpaData = { gpa: 4.0, gradedMCs: 40, totalPoints: 160 };
+  const planned = (...credits) => credits.map((moduleCredit, index) => ({ id: index, moduleCredit: String(moduleCredit), letterGrade: '' }));
+
+  test('solves for the exact average over the remaining units', () => {
+    const result = calculateTargetGrades(gpaData, planned(4, 4, 4, 4, 4), 4.2);
+
+    expect(result.requiredAverage).toBeCloseTo(4.6);
+    expect(result.remainingUnits).toBe(20);
+    expect(result.combinations.map(c => c.label)).toEqual([
+      '5 A+/A',
+      '1 A+/A, 4 A-',
+      '3 A+/A, 2 B+',
+      '4 A+/A, 1 B'
+    ]);
+  });
+
+  test('gives the higher grade to modules with more units', () => {
+    const result = calculateTargetGrades(gpaData, planned(8, 4, 4), 4.2);
+
+    expect(result.combinations).toContainEqual(expect.objectContaining({ label: '1 A+/A, 2 A-' }));
+  });
+
+  test('says plainly when the target is out of reach', () => {
+    expect(calculateTargetGrades(gpaData, planned(4, 4), 4.9).message).toMatch(/Not reachable within your 8 remaining units/);
+    expect(calculateTargetGrades(gpaData, [], 4.2).message).toMatch(/Add your upcoming modules/);
+    expect(calculateTargetGrades(gpaData, planned(4), 3.5).message).toMatch(/Target secured/);
+  });
+});
+
+describe('S/U optimiser', () => {
+  const semesters = ['AY24/25 Sem 1', 'AY24/25 Sem 2', 'AY24/25 ST1', 'AY25/26 Sem 1'];
+  const graded = (id, letterGrade, semester, extra = {}) => 
+    ({ id, moduleCode: `MOD${id}`, moduleCredit: '4', letterGrade, semester, isSU: false, ...extra });
+
+  test('picks the combination that maximises cumulative GPA', () => {
+    const modules = [
+      graded(1, 'A', semesters[0]),
+      graded(2, 'C', semesters[0]),
+      graded(3, 'B', semesters[1]),
+      graded(4, 'D', semesters[3]),
+      graded(5, 'A+', semesters[3])
+    ];
+    const result = optimiseSUChoices(modules, semesters, false);
+
+    expect(result.currentGPA).toBe(3.2);
+    expect(result.optimisedGPA).toBe(5);
+    expect(result.suModuleIds.sort()).toEqual([2, 3, 4]);
+    expect(result).toMatchObject({ firstTwoUnits: 8, subsequentUnits: 4, isAlreadyOptimal: false });
+  });
+
+  test('skips modules that cannot be S/U-ed', () => {
+    const modules = [
+      graded(1, 'A', semesters[0]),
+      graded(2, 'C', semesters[0], { attributes: { mpes1: true } }),
+      graded(3, 'C', semesters[1], { attributes: { su: true } })
+    ];
+
+    expect(optimiseSUChoices(modules, semesters, false).suModuleIds).toEqual([3]);
+  });
+
+  test('stays within the reduced cap for students with APCs', () => {
+    const modules = [graded(0, 'A', semesters[0]), ...[1, 2, 3, 4, 5, 6].map(id => graded(id, 'C', semesters[id % 2]))];
+
+    expect(optimiseSUChoices(modules, semesters, false).suModuleIds).toHaveLength(6);
+    const withAPCs = optimiseSUChoices(modules, semesters, true);
+    expect(withAPCs.suModuleIds).toHaveLength(5);
+    expect(withAPCs.firstTwoUnits).toBe(20);
+  });
+});
+
+describe('S/U eligibility', () => {
+  const graded = (id, moduleCode, extra = {}) => 
+    ({ id, moduleCode, title: moduleCode, moduleCredit: '4', letterGrade: 'C', isSU: false, semester: 'AY24/25 Sem 1', ...extra });
+
+  test('only blocks modules NUSMods marks as not S/U-able', () => {
+    expect(isSUEligible(graded(1, 'CS1101S'))).toBe(true);
+    expect(isSUEligible(graded(1, 'CS1101S', { attributes: { su: true } }))).toBe(true);
+    expect(isSUEligible(graded(1, 'CS2103T', { attributes: { mpes1: true } }))).toBe(false);
+  });
+
+  test('marks ineligible modules and refuses to S/U them', async () => {
+    await renderPlanner({
+      academicSettings: { matricYear: 'AY24/25', hasAPCs: false },
+      selectedModules: [graded(1, 'CS2103T', { attributes: { su: false } }), graded(2, 'CS1101S', { attributes: { su: true } })]
+    });
+
+    expect(screen.getAllByText('S/U not allowed')).toHaveLength(1);
+
+    fireEvent.contextMenu(screen.getByLabelText(/^CS2103T/));
+    fireEvent.contextMenu(screen.getByLabelText(/^CS1101S/));
+
+    expect(screen.getByText(/CS2103T cannot be S\/U-ed/)).toBeInTheDocument();
+    expect(savedModules().map(module => module.isSU)).toEqual([false, true]);
+  });
+});
+
+describe('grading schemes', () => {
+  const modules = [
+    { id: 1, moduleCode: 'CS1101S', moduleCredit: '4', letterGrade: 'A-', isSU: false, semester: 'AY24/25 Sem 1' },
+    { id: 2, moduleCode: 'MA1521', moduleCredit: '4', letterGrade: 'B', isSU: true, semester: 'AY24/25 Sem 1' }
+  ];
+
+  test('drives GPA from the selected scheme, ignoring S/U where the scheme has none', () => {
+    const { result: nus } = renderHook(() => useGPACalculations(modules, getGradingScheme('nus')));
+    const { result: fourPoint } = renderHook(() => useGPACalculations(modules, getGradingScheme('four-point')));
+
+    expect(nus.current.gpa).toBe(4.5);
+    expect(fourPoint.current.gpa).toBe(3.35);
+    expect(calculateTargetGrades(fourPoint.current, [], 3.5, getGradingScheme('four-point')).message).toBeDefined();
+  });
+
+  test('validates imported grades against the plan\'s scheme', () => {
+    const { plan, issues } = validatePlanImport({
+      schemaVersion: 1,
+      academicSettings: { matricYear: 'AY24/25', gradingSchemeId: 'four-point' },
+      selectedModules: [{ ...modules[0], letterGrade: 'CS' }, { ...modules[1], letterGrade: 'P' }]
+    });
+
+    expect(plan.academicSettings.gradingSchemeId).toBe('four-point');
+    expect(plan.selectedModules.map(module => module.letterGrade)).toEqual(['', 'P']);
+    expect(issues).toContain('CS1101S: invalid grade "CS", grade cleared');
+  });
+
+  test('compares S/U use only for plans whose scheme has S/U', async () => {
+    const settings = { matricYear: 'AY24/25', hasAPCs: false, gradingSchemeId: 'nus' };
+    await renderPlanner({
+      academicSettings: settings,
+      selectedModules: modules,
+      activePlanId: 'plan-default',
+      plans: [
+        { id: 'plan-default', name: 'Main plan', data: null },
+        {
+          id: 'plan-us',
+          name: 'US transcript',
+          data: { 
+            selectedModules: modules, activeSemesters: ['AY24/25 Sem 1'], visibleYears: ['AY24/25'], selectedYear: 'AY24/25',
+            academicSettings: { ...settings, gradingSchemeId: 'four-point' } 
+          }
+        }
+      ]
+    });
+
+    const countRows = (label) => screen.queryAllByText(label).length;
+    const before = ['Total MCs', 'S/U used', 'Remaining SUs'].map(countRows);
+    fireEvent.click(screen.getByTitle('Compare plans'));
+
+    expect(['Total MCs', 'S/U used', 'Remaining SUs'].map((label, index) => countRows(label) - before[index])).toEqual([2, 1, 1]);
+  });
+});
+
+describe('custom modules', () => {
+  const custom = (id, creditType, letterGrade, extra = {}) => ({
+    id, moduleCode: `EXC${id}`, moduleCredit: '4', letterGrade, isSU: false, semester: 'AY24/25 Sem 1', isCustom: true, creditType, ...extra
+  });
+
+  test('only graded custom modules count towards GPA, but all count towards units', () => {
+    const modules = [
+      { id: 1, moduleCode: 'CS1101S', moduleCredit: '4', letterGrade: 'B+', isSU: false, semester: 'AY24/25 Sem 1' },
+      custom(2, 'transfer', ''),
+      custom(3, 'exchange', 'S'),
+      custom(4, 'graded', 'A')
+    ];
+    const { result } = renderHook(() => useGPACalculations(modules));
+
+    expect(result.current).toMatchObject({ gpa: 4.5, gradedMCs: 8, totalMCs: 16 });
+  });
+
+  test('a mapped NUS code satisfies prerequisites', () => {
+    const semesters = ['AY24/25 Sem 1', 'AY24/25 Sem 2'];
+    const cs2030s = { id: 9, moduleCode: 'CS2030S', semester: semesters[1], prereqTree: 'CS2040S:D' };
+    const modules = [custom(2, 'exchange', 'S', { mappedCode: 'CS2040S' }), cs2030s];
+
+    expect(checkModuleRequisites(cs2030s, modules, semesters)).toEqual([]);
+    expect(checkModuleRequisites(cs2030s, [{ ...modules[0], letterGrade: 'U' }, cs2030s], semesters)).toHaveLength(1);
+  });
+
+  test('accepts 0 units but rejects negative ones', async () => {
+    await renderPlanner({ academicSettings: { matricYear: 'AY24/25', hasAPCs: false }, selectedModules: [] });
+
+    fireEvent.click(screen.getAllByRole('button', { name: /custom module/ })[0]);
+    fireEvent.change(screen.getByPlaceholderText('Code'), { target: { value: 'exc1' } });
+    fireEvent.change(screen.getByPlaceholderText('Units'), { target: { value: '-1' } });
+    fireEvent.click(within(screen.getByRole('form', { name: 'Custom module' })).getByRole('button', { name: 'Add' }));
+    expect(screen.getByText('Units must be 0 or more.')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByPlaceholderText('Units'), { target: { value: '0' } });
+    fireEvent.click(within(screen.getByRole('form', { name: 'Custom module' })).getByRole('button', { name: 'Add' }));
+    expect(savedModules()).toEqual([expect.objectContaining({ moduleCode: 'EXC1', moduleCredit: '0' })]);
+  });
+});
+
+describe('module overrides', () => {
+  const internship = { id: 1, moduleCode: 'CP3880', title: 'Advanced Technology Attachment Programme', moduleCredit: '12', letterGrade: '' };
+
+  test('records overrides alongside the NUSMods values and clears them on reset', () => {
+    const edited = applyModuleEdit(internship, { title: internship.title, moduleCredit: '8' });
+
+    expect(edited).toMatchObject({ moduleCredit: '8', overrides: { moduleCredit: '8' }, original: { moduleCredit: '12' } });
+    expect(applyModuleEdit(edited, edited.original)).toEqual(internship);
+  });
+
+  test('keeps overrides when fresh NUSMods details arrive', () => {
+    const edited = applyModuleEdit(internship, { title: 'ATAP', moduleCredit: '8' });
+    const refreshed = mergeModuleDetails(edited, { moduleCode: 'CP3880', title: 'ATAP (new)', moduleCredit: '10' });
+
+    expect(refreshed).toMatchObject({ title: 'ATAP', moduleCredit: '8', original: { title: 'ATAP (new)', moduleCredit: '10' } });
+  });
+});
+
+describe('retakes', () => {
+  const modules = [
+    { id: 1, moduleCode: 'MA1521', moduleCredit: '4', letterGrade: 'F', isSU: false, semester: 'AY24/25 Sem 1' },
+    { id: 2, moduleCode: 'MA1521', moduleCredit: '4', letterGrade: 'B', isSU: false, semester: 'AY24/25 ST1' },
+    { id: 3, moduleCode: 'CS1101S', moduleCredit: '4', letterGrade: 'A', isSU: false, semester: 'AY24/25 Sem 2' }
+  ];
+
+  test('links attempts in semester order and supersedes earlier ones', () => {
+    const attempts = getModuleAttempts(modules);
+
+    expect(attempts.get(1)).toMatchObject({ number: 1, total: 2, isSuperseded: true });
+    expect(attempts.get(2)).toMatchObject({ number: 2, total: 2, isSuperseded: false });
+    expect(attempts.get(3)).toMatchObject({ number: 1, total: 1, isSuperseded: false });
+  });
+
+  test('keeps every graded attempt in GPA but counts the units once', () => {
+    const { result } = renderHook(() => useGPACalculations(modules));
+
+    expect(result.current).toMatchObject({ gpa: 2.83, gradedMCs: 12, totalMCs: 8 });
+  });
+
+  test('treats the unscheduled pool as after every semester', () => {
+    const pooled = [...modules, { id: 4, moduleCode: 'CS2030S', moduleCredit: '4', letterGrade: '', isSU: false, semester: 'Unassigned' }];
+
+    expect(getModuleAttempts([...pooled, { ...pooled[3], id: 5, semester: 'AY24/25 Sem 1' }]).get(4)).toMatchObject({ number: 2, total: 2 });
+    expect(getAttemptStatus(pooled, 'CS2030S', 'AY25/26 Sem 2')).toBe('taken');
+    expect(getAttemptStatus(pooled, 'MA1521', 'AY25/26 Sem 1')).toBe('retake');
+    expect(getAttemptStatus(pooled, 'MA1521', 'Unassigned')).toBe('taken');
+  });
+
+  test('refuses moves that share a semester or reorder attempts', () => {
+    const [failed, passed, other] = modules;
+
+    expect(checkAttemptMove(modules, failed, 'AY24/25 Sem 2')).toBeNull();
+    expect(checkAttemptMove(modules, failed, 'AY24/25 ST1')).toBe('MA1521 is already planned in AY24/25 ST1.');
+    expect(checkAttemptMove(modules, failed, 'AY25/26 Sem 1')).toMatch(/also planned in AY24\/25 ST1/);
+    expect(checkAttemptMove(modules, passed, 'AY23/24 Sem 2')).toMatch(/also planned in AY24\/25 Sem 1/);
+    expect(checkAttemptMove(modules, failed, 'Unassigned')).toMatch(/already planned/);
+    expect(checkAttemptMove(modules, other, 'Unassigned')).toBeNull();
+    expect(checkAttemptMove([...modules, { ...failed, id: 4, semester: 'Unassigned' }], { ...failed, id: 4, semester: 'Unassigned' }, 'AY24/25 Sem 2'))
+      .toMatch(/also planned in AY24\/25 ST1/);
+  });
+
+  test('keeps a module where it is when an arrow key would move it onto another attempt', async () => {
+    await renderPlanner({
+      academicSettings: { matricYear: 'AY24/25', hasAPCs: false },
+      activeSemesters: ['AY24/25 Sem 1', 'AY24/25 Sem 2'],
+      selectedModules: [
+        { id: 1, moduleCode: 'MA1521', title: 'Calculus for Computing', moduleCredit: '4', letterGrade: 'F', isSU: false, semester: 'AY24/25 Sem 1' },
+        { id: 2, moduleCode: 'MA1521', title: 'Calculus for Computing', moduleCredit: '4', letterGrade: '', isSU: false, semester: 'AY24/25 Sem 2' }
+      ]
+    });
+
+    const [failed, retake] = screen.getAllByLabelText(/^MA1521/);
+    fireEvent.keyDown(failed, { key: 'ArrowRight' });
+
+    expect(screen.getByText('MA1521 is already planned in AY24/25 Sem 2.')).toBeInTheDocument();
+    expect(savedModules().map(module => module.semester)).toEqual(['AY24/25 Sem 1', 'AY24/25 Sem 2']);
+
+    // A refused move must not pull focus back on the next unrelated change
+    act(() => retake.focus());
+    fireEvent.keyDown(retake, { key: 'a' });
+    expect(savedModules()[1].letterGrade).toBe('A');
+    expect(retake).toHaveFocus();
+  });
+});
+
+describe('GPA trend', () => {
+  test('orders semesters chronologically with semester and cumulative GPA', () => {
+    const modules = [
+      { id: 1, moduleCode: 'CS1101S', moduleCredit: '4', letterGrade: 'A', isSU: false, semester: 'AY24/25 Sem 1' },
+      { id: 2, moduleCode: 'MA1521', moduleCredit: '4', letterGrade: 'C', isSU: true, semester: 'AY24/25 Sem 1' },
+      { id: 3, moduleCode: 'CS2030S', moduleCredit: '4', letterGrade: 'B', isSU: false, semester: 'AY24/25 Sem 2' },
+      { id: 4, moduleCode: 'CS2040S', moduleCredit: '4', letterGrade: '', isSU: false, semester: 'AY24/25 ST1' }
+    ];
+    const trend = buildGPATrend(modules, ['AY24/25 ST1', 'AY24/25 Sem 2', 'AY24/25 Sem 1']);
+
+    expect(trend).toEqual([
+      { semester: 'AY24/25 Sem 1', semesterGPA: 5, cumulativeGPA: 5, units: 8, suUnits: 4 },
+      { semester: 'AY24/25 Sem 2', semesterGPA: 3.5, cumulativeGPA: 4.25, units: 4, suUnits: 0 },
+      { semester: 'AY24/25 ST1', semesterGPA: null, cumulativeGPA: 4.25, units: 4, suUnits: 0 }
+    ]);
+  });
+});
+
+describe('workload', () => {
+  test('splits NUSMods workload into contact and self-study hours', () => {
+    const modules = [
+      { moduleCode: 'CS2103T', workload: [2, 1, 0, 3, 4] },
+      { moduleCode: 'CS2101', workload: [0, 3, 0, 0, 4] },
+      { moduleCode: 'CP3880', workload: 'Varies' },
+      { moduleCode: 'EXC1', isCustom: true }
+    ];
+
+    expect(summariseWorkload(modules)).toEqual({ contactHours: 6, selfStudyHours: 11, totalHours: 17, modulesWithoutData: 2 });
+  });
+
+  test('lets the threshold be cleared and retyped', async () => {
+    await renderPlanner({ academicSettings: { matricYear: 'AY24/25', hasAPCs: false }, selectedModules: [] });
+    fireEvent.click(screen.getByTitle('Settings'));
+    const threshold = screen.getByLabelText('Warn when weekly workload exceeds (hours)');
+
+    fireEvent.change(threshold, { target: { value: '' } });
+    expect(threshold).toHaveValue(null);
+    fireEvent.change(threshold, { target: { value: '35' } });
+    fireEvent.blur(threshold);
+
+    expect(threshold).toHaveValue(35);
+    expect(JSON.parse(localStorage.getItem('nus-gpa-workloadThreshold'))).toBe(35);
+  });
+});
+
+describe('semester load', () => {
+  test('applies separate limits to regular semesters and special terms', () => {
+    expect(checkSemesterLoad('AY24/25 Sem 1', 24)).toMatchObject({ label: 'Overload' });
+    expect(checkSemesterLoad('AY24/25 Sem 1', 12)).toMatchObject({ label: 'Underload' });
+    expect(checkSemesterLoad('AY24/25 Sem 1', 20)).toBeNull();
+    expect(checkSemesterLoad('AY24/25 Sem 1', 0)).toBeNull();
+    expect(checkSemesterLoad('AY24/25 ST1', 8)).toBeNull();
+    expect(checkSemesterLoad('AY24/25 ST2', 16)).toMatchObject({ label: 'Overload' });
+  });
+
+  test('uses the student\'s own limits when set', () => {
+    const unitLimits = { regular: { min: 12, max: 27 }, special: { min: 0, max: 8 } };
+
+    expect(checkSemesterLoad('AY24/25 Sem 2', 26, unitLimits)).toBeNull();
+    expect(checkSemesterLoad('AY24/25 ST1', 12, unitLimits).detail).toBe('12 units is above the 8-unit limit for special terms');
+  });
+
+  test('never saves a minimum above the maximum', async () => {
+    await renderPlanner({ academicSettings: { matricYear: 'AY24/25', hasAPCs: false }, selectedModules: [] });
+    fireEvent.click(screen.getByTitle('Settings'));
+    const min = screen.getByLabelText('Regular semesters minimum units');
+    const max = screen.getByLabelText('Regular semesters maximum units');
+
+    fireEvent.change(max, { target: { value: '' } });
+    fireEvent.change(max, { target: { value: '2' } });
+    fireEvent.change(max, { target: { value: '27' } });
+    fireEvent.change(min, { target: { value: '30' } });
+    fireEvent.blur(min);
+
+    expect(JSON.parse(localStorage.getItem('nus-gpa-unitLimits')).regular).toEqual({ min: 18, max: 27 });
+    expect(min).toHaveValue(18);
+  });
+});
+
+describe('exam clashes', () => {
+  const withExam = (id, moduleCode, examDate, examDuration = 120) => ({
+    id, moduleCode, semester: 'AY24/25 Sem 1', semesterData: [{ semester: 1, examDate, examDuration }, { semester: 2 }]
+  });
+
+  test('pairs modules whose exams overlap and describes them in Singapore time', () => {
+    const modules = [
+      withExam(1, 'CS2030S', '2024-11-26T05:00:00.000Z'),
+      withExam(2, 'CS2040S', '2024-11-26T06:00:00.000Z', 90),
+      withExam(3, 'MA1521', '2024-11-26T07:30:00.000Z'),
+      { id: 4, moduleCode: 'CS2101', semester: 'AY24/25 Sem 1', semesterData: [{ semester: 1 }] }
+    ];
+    const clashes = findExamClashes(modules);
+
+    expect(clashes.map(({ first, second }) => [first.module.moduleCode, second.module.moduleCode])).toEqual([['CS2030S', 'CS2040S']]);
+    expect(describeExamClash(clashes[0])).toMatch(/^CS2030S \(Tue, 26 Nov, 1:00\spm–3:00\spm\) and CS2040S \(Tue, 26 Nov, 2:00\spm–3:30\spm\)$/i);
+  });
+});
+
+describe('plan history', () => {
+  const useHistoryHarness = () => {
+    const [plan, setPlan] = useState({ selectedModules: [] });
+    const history = usePlanHistory(plan, setPlan);
+    const change = (update) => {
+      history.record();
+      setPlan(update);
+    };
+    return { plan, history, change };
+  };
+
+  test('undoes one step per batch of changes and redoes it', async () => {
+    const { result } = renderHook(() => useHistoryHarness());
+
+    act(() => {
+      result.current.change(prev => ({ selectedModules: [...prev.selectedModules, 'CS1101S'] }));
+      result.current.change(prev => ({ selectedModules: [...prev.selectedModules, 'MA1521'] }));
+    });
+    await act(() => Promise.resolve());
+    act(() => result.current.change(prev => ({ selectedModules: prev.selectedModules.slice(1) })));
+
+    expect(result.current.plan.selectedModules).toEqual(['MA1521']);
+    act(() => { result.current.history.undo(); });
+    expect(result.current.plan.selectedModules).toEqual(['CS1101S', 'MA1521']);
+    act(() => { result.current.history.undo(); });
+    expect(result.current.plan.selectedModules).toEqual([]);
+    expect(result.current.history.canUndo).toBe(false);
+
+    act(() => { result.current.history.redo(); });
+    expect(result.current.plan.selectedModules).toEqual(['CS1101S', 'MA1521']);
+    expect(result.current.history.canRedo).toBe(true);
+  });
+
+  test('keeps details fetched after the snapshot when restoring it', () => {
+    const snapshot = [
+      { id: 1, moduleCode: 'CS1101S', title: 'CS1101S', moduleCredit: '4', isProvisional: true, letterGrade: 'A' },
+      { id: 2, moduleCode: 'CP3880', title: 'Internship', moduleCredit: '8', overrides: { moduleCredit: '8' }, 
+        original: { moduleCredit: '12' }, detailsVersion: MODULE_DETAILS_VERSION - 1 }
+    ];
+    const current = [
+      { id: 1, moduleCode: 'CS1101S', title: 'Programming Methodology I', moduleCredit: '4', letterGrade: 'B',
+        isProvisional: false, detailsVersion: MODULE_DETAILS_VERSION },
+      { id: 2, moduleCode: 'CP3880', title: 'Advanced Internship', moduleCredit: '12', workload: [0, 0, 0, 40, 0],
+        detailsVersion: MODULE_DETAILS_VERSION }
+    ];
+
+    const [confirmed, overridden] = keepFetchedDetails(snapshot, current);
+
+    expect(confirmed).toMatchObject({ title: 'Programming Methodology I', isProvisional: false, letterGrade: 'A' });
+    expect(overridden).toMatchObject({
+      title: 'Advanced Internship',
+      moduleCredit: '8',
+      original: { moduleCredit: '12' },
+      workload: [0, 0, 0, 40, 0],
+      detailsVersion: MODULE_DETAILS_VERSION
+    });
+  });
+
+  test('withdraws the Undo toast once another change is made', async () => {
+    await renderPlanner({
+      selectedModules: [
+        { id: 1, moduleCode: 'CS1101S', title: 'Programming Methodology I', moduleCredit: '4', semester: 'AY24/25 Sem 1', letterGrade: '' },
+        { id: 2, moduleCode: 'MA1521', title: 'Calculus for Computing', moduleCredit: '4', semester: 'AY24/25 Sem 1', letterGrade: '' }
+      ],
+      activeSemesters: ['AY24/25 Sem 1'],
+      academicSettings: { matricYear: 'AY24/25', hasAPCs: false },
+      visibleYears: ['AY24/25'],
+      selectedYear: 'AY24/25'
+    });
+
+    fireEvent.keyDown(screen.getByLabelText(/^CS1101S/), { key: 'Delete' });
+    expect(screen.getByText('Removed CS1101S from AY24/25 Sem 1')).toBeInTheDocument();
+    await act(() => Promise.resolve());
+
+    fireEvent.keyDown(screen.getByLabelText(/^MA1521/), { key: 'a' });
+    expect(screen.queryByText('Removed CS1101S from AY24/25 Sem 1')).not.toBeInTheDocument();
+    expect(savedModules().map(module => module.letterGrade)).toEqual(['A']);
+  });
+});
+
+describe('matriculation year change', () => {
+  const plan = {
+    selectedModules: [
+      { id: 1, moduleCode: 'CS1101S', semester: 'AY23/24 Sem 1' },
+      { id: 2, moduleCode: 'CS2030S', semester: 'AY24/25 Sem 2' }
+    ],
+    activeSemesters: ['AY23/24 Sem 1', 'AY23/24 Sem 2', 'AY24/25 Sem 2'],
+    academicSettings: { matricYear: 'AY23/24', hasAPCs: false },
+    visibleYears: ['AY23/24', 'AY24/25'],
+    selectedYear: 'AY24/25'
+  };
+
+  test('finds modules before the new matriculation year', () => {
+    expect(findOrphanedModules(plan.selectedModules, 'AY24/25').map(m => m.moduleCode)).toEqual(['CS1101S']);
+    expect(findOrphanedModules(plan.selectedModules, 'AY22/23')).toEqual([]);
+  });
+
+  test('shifts every semester by the year difference', () => {
+    const shifted = changePlanMatricYear(plan, 'AY24/25', 'shift');
+
+    expect(shifted.selectedModules.map(m => m.semester)).toEqual(['AY24/25 Sem 1', 'AY25/26 Sem 2']);
+    expect(shifted.activeSemesters).toEqual(['AY24/25 Sem 1', 'AY24/25 Sem 2', 'AY25/26 Sem 2']);
+    expect(shifted.visibleYears).toEqual(['AY24/25', 'AY25/26']);
+    expect(shifted.selectedYear).toBe('AY25/26');
+    expect(shifted.academicSettings.matricYear).toBe('AY24/25');
+  });
+
+  test('keeps orphaned modules as unassigned', () => {
+    const kept = changePlanMatricYear(plan, 'AY24/25', 'unassign');
+
+    expect(kept.selectedModules.map(m => m.semester)).toEqual(['Unassigned', 'AY24/25 Sem 2']);
+    expect(kept.activeSemesters).toEqual(['AY24/25 Sem 2']);
+    expect(kept.visibleYears).toEqual(['AY24/25']);
+    expect(kept.selectedYear).toBe('AY24/25');
+  });
+});
+
+describe('typed grades', () => {
+  const nusGrades = getGradingScheme('nus').gradeGrid.flat().filter(Boolean);
+
+  test('builds grades from recent keys or the current grade', () => {
+    expect(matchTypedGrade('', '', 'b', nusGrades)).toBe('B');
+    expect(matchTypedGrade('B', 'B', '+', nusGrades)).toBe('B+');
+    expect(matchTypedGrade('', 'A', '-', nusGrades)).toBe('A-');
+    expect(matchTypedGrade('C', 'C', 's', nusGrades)).toBe('CS');
+    // An old grade of C is not CS's first letter once the typing pause has passed
+    expect(matchTypedGrade('', 'C', 's', nusGrades)).toBeNull();
+    expect(matchTypedGrade('', 'C', 's', [...nusGrades, 'S'])).toBe('S');
+    expect(matchTypedGrade('A', 'A', 'd', nusGrades)).toBe('D');
+    expect(matchTypedGrade('', 'A+', '-', nusGrades)).toBeNull();
+  });
+
+  test('reads multi-letter grades that have no single-letter prefix', () => {
+    const fourPointGrades = getGradingScheme('four-point').gradeGrid.flat().filter(Boolean);
+
+    expect(matchTypedGrade('', '', 'n', fourPointGrades)).toBeNull();
+    expect(matchTypedGrade('N', '', 'p', fourPointGrades)).toBe('NP');
+  });
+});
+
+describe('pointer drag', () => {
+  const DropZone = ({ semester, moduleCount }) => (
+    <ul aria-label={semester} data-drop-zone={semester}>
+      {Array.from({ length: moduleCount }, (_, index) => (
+        <li key={index} aria-label={`Module ${index + 1}`} data-module-id={index + 1} />
+      ))}
+    </ul>
+  );
+
+  const renderZone = (semester, cardTops) => {
+    render(<DropZone semester={semester} moduleCount={cardTops.length} />);
+    const cards = within(screen.getByRole('list', { name: semester })).getAllByRole('listitem');
+    cards.forEach((card, index) => {
+      card.getBoundingClientRect = () => ({ top: cardTops[index], height: 40 });
+    });
+    return { zone: screen.getByRole('list', { name: semester }), cards };
+  };
+
+  afterEach(() => {
+    delete document.elementsFromPoint;
+  });
+
+  test('drops at the insert position under the pointer, skipping the dragged card', () => {
+    const { zone, cards: [dragged, , last] } = renderZone('AY24/25 Sem 2', [0, 50, 100]);
+    document.elementsFromPoint = () => [dragged, last, zone];
+    const onDrop = jest.fn();
+    const { result } = renderHook(() => useModuleDrag(onDrop));
+
+    act(() => result.current.start(1));
+    act(() => result.current.move(10, 110, dragged));
+    expect(result.current.dragState).toEqual({ moduleId: 1, semester: 'AY24/25 Sem 2', insertIndex: 1 });
+
+    act(() => result.current.end(true));
+    expect(onDrop).toHaveBeenCalledWith(1, 'AY24/25 Sem 2', 1);
+    expect(result.current.dragState).toBeNull();
+  });
+
+  test('does nothing when released outside a drop zone or cancelled', () => {
+    const { zone, cards: [dragged] } = renderZone('AY24/25 Sem 1', [0]);
+    const onDrop = jest.fn();
+    const { result } = renderHook(() => useModuleDrag(onDrop));
+
+    document.elementsFromPoint = () => [];
+    act(() => result.current.start(1));
+    act(() => result.current.move(500, 500, dragged));
+    act(() => result.current.end(true));
+
+    document.elementsFromPoint = () => [zone];
+    act(() => result.current.start(1));
+    act(() => result.current.move(10, 10, dragged));
+    act(() => result.current.end(false));
+
+    expect(onDrop).not.toHaveBeenCalled();
+  });
+});
+
+describe('unscheduled pool', () => {
+  test('ignores S/U gestures on graded modules that are not scheduled', async () => {
+    await renderPlanner({
+      academicSettings: { matricYear: 'AY24/25', hasAPCs: false },
+      selectedModules: [
+        { id: 1, moduleCode: 'CS2030S', title: 'Programming Methodology II', moduleCredit: '4', letterGrade: 'B', isSU: false, semester: 'Unassigned' }
+      ]
+    });
+
+    fireEvent.contextMenu(screen.getByLabelText(/^CS2030S/));
+
+    expect(screen.queryByText('Something went wrong')).not.toBeInTheDocument();
+    expect(savedModules()[0].isSU).toBe(false);
+  });
+
+  test('ignores the S/U and grade keys on modules that are not scheduled', async () => {
+    await renderPlanner({
+      academicSettings: { matricYear: 'AY24/25', hasAPCs: false },
+      selectedModules: [
+        { id: 1, moduleCode: 'CS2030S', title: 'Programming Methodology II', moduleCredit: '4', letterGrade: 'B', isSU: false, semester: 'Unassigned' }
+      ]
+    });
+    const card = screen.getByLabelText(/^CS2030S/);
+
+    fireEvent.keyDown(card, { key: '/' });
+    fireEvent.keyDown(card, { key: 'Backspace' });
+
+    expect(screen.queryByText('Something went wrong')).not.toBeInTheDocument();
+    expect(savedModules()[0]).toMatchObject({ letterGrade: 'B', isSU: false });
+  });
+});
+
+describe('module card keyboard', () => {
+  test('types a grade, toggles S/U and announces both', async () => {
+    await renderPlanner({
+      academicSettings: { matricYear: 'AY24/25', hasAPCs: false },
+      selectedModules: [
+        { id: 1, moduleCode: 'CS2030S', title: 'Programming Methodology II', moduleCredit: '4', letterGrade: '', isSU: false, semester: 'AY24/25 Sem 1' }
+      ]
+    });
+
+    fireEvent.keyDown(screen.getByLabelText(/^CS2030S/), { key: 'b' });
+    fireEvent.keyDown(screen.getByLabelText(/^CS2030S/), { key: '+' });
+    expect(savedModules()[0].letterGrade).toBe('B+');
+
+    fireEvent.keyDown(screen.getByLabelText(/^CS2030S/), { key: '/' });
+    expect(savedModules()[0].isSU).toBe(true);
+    expect(screen.getByText('CS2030S S/U-ed')).toBeInTheDocument();
+  });
+});